@@ -0,0 +1,338 @@
+// Transactional mail: versioned templates rendered into the ROLLodx layout, a persisted outbox
+// (mail_outbox, created by server.js) and the transports that deliver it.
+//
+// mailer.send(template, to, data) renders the latest version of a template, stores the result in
+// the outbox and returns; delivery happens right after and is retried with exponential backoff
+// until MAIL_MAX_ATTEMPTS. Each outbox row records the template version it was rendered from.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_MAX_ATTEMPTS = 6;
+const MAIL_RETRY_BASE_SECONDS = 60;
+const MAIL_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const MAIL_POLL_INTERVAL = 30 * 1000;
+const MAIL_BATCH_SIZE = 20;
+// A row left in 'sending' this long belongs to a process that died mid-delivery
+const MAIL_STALE_LOCK = '10 minutes';
+const MAIL_CAPTURE_LIMIT = 100;
+
+// The ROLLodx Enterprise palette (enterpriseStyles in the frontend)
+const PALETTE = {
+  primary50: '#f0f5f3',
+  primary100: '#dcebe6',
+  primary500: '#527767',
+  primary600: '#3f6155',
+  primary700: '#355046',
+  neutral50: '#f8fafc',
+  neutral200: '#e2e8f0',
+  neutral500: '#64748b',
+  neutral700: '#334155',
+  neutral900: '#0f172a',
+  white: '#ffffff'
+};
+
+const FONT_STACK = "Inter, 'Segoe UI', Helvetica, Arial, sans-serif";
+const HEADING_FONT_STACK = "Montserrat, Inter, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Building blocks for template bodies. Text arguments are escaped; `html` arguments are trusted.
+const paragraph = (text) => `<p style="margin: 0 0 16px;">${escapeHtml(text)}</p>`;
+
+const heading = (text) => `<h2 style="margin: 24px 0 12px; font-family: ${HEADING_FONT_STACK}; font-size: 17px; color: ${PALETTE.neutral900};">${escapeHtml(text)}</h2>`;
+
+const list = (itemsHtml) => `<ul style="margin: 0 0 16px; padding-left: 20px;">${itemsHtml.map(item => `<li style="margin-bottom: 6px;">${item}</li>`).join('')}</ul>`;
+
+const button = (url, label) => `
+  <table role="presentation" cellpadding="0" cellspacing="0" style="margin: 8px 0 24px;">
+    <tr><td style="background: ${PALETTE.primary500}; border-radius: 6px;">
+      <a href="${escapeHtml(url)}" style="display: inline-block; padding: 12px 24px; font-weight: 600; color: ${PALETTE.white}; text-decoration: none;">${escapeHtml(label)}</a>
+    </td></tr>
+  </table>`;
+
+const callout = (html) => `<div style="margin: 0 0 16px; padding: 12px 16px; background: ${PALETTE.primary50}; border-left: 4px solid ${PALETTE.primary500}; border-radius: 4px;">${html}</div>`;
+
+const DEFAULT_FOOTER = 'This is an automated message from ROLLodx, the B2B brand management platform.';
+
+function renderLayout({ subject, preheader, html, footer }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: ${PALETTE.primary50}; font-family: ${FONT_STACK}; color: ${PALETTE.neutral700};">
+  <div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(preheader || '')}</div>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: ${PALETTE.primary50}; padding: 24px 12px;">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; width: 100%; background: ${PALETTE.white}; border: 1px solid ${PALETTE.neutral200}; border-radius: 8px;">
+        <tr><td style="padding: 20px 32px; background: ${PALETTE.primary700}; border-radius: 8px 8px 0 0; font-family: ${HEADING_FONT_STACK}; font-size: 20px; font-weight: 700; color: ${PALETTE.white};">ROLLodx</td></tr>
+        <tr><td style="padding: 32px; font-size: 15px; line-height: 1.6;">${html}</td></tr>
+        <tr><td style="padding: 16px 32px; background: ${PALETTE.neutral50}; border-top: 1px solid ${PALETTE.neutral200}; border-radius: 0 0 8px 8px; font-size: 12px; color: ${PALETTE.neutral500};">${escapeHtml(footer || DEFAULT_FOOTER)}</td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+// TEMPLATES
+// name -> Map(version -> render). render(data) returns { subject, text, html, preheader?, footer? }
+// where html is the body only; renderTemplate wraps it in the layout. Bump the version whenever a
+// template's content changes so the outbox shows which copy each recipient got.
+const templates = new Map();
+
+function defineTemplate(name, version, render) {
+  if (!templates.has(name)) {
+    templates.set(name, new Map());
+  }
+  templates.get(name).set(version, render);
+}
+
+function renderTemplate(name, data, version = null) {
+  const versions = templates.get(name);
+  if (!versions) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const templateVersion = version ?? Math.max(...versions.keys());
+  const render = versions.get(templateVersion);
+  if (!render) {
+    throw new Error(`Unknown version ${templateVersion} of mail template ${name}`);
+  }
+
+  const content = render(data);
+  return {
+    template: name,
+    version: templateVersion,
+    subject: content.subject,
+    text: `${content.text}\n\n--\n${content.footer || DEFAULT_FOOTER}\n`,
+    html: renderLayout(content)
+  };
+}
+
+defineTemplate('email_verification', 1, ({ firstName, verifyUrl }) => ({
+  subject: 'Verify your ROLLodx email address',
+  preheader: 'Confirm your email address to finish setting up your account.',
+  text: `Hi ${firstName},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in 24 hours. If you did not create a ROLLodx account, you can ignore this email.`,
+  html: paragraph(`Hi ${firstName},`) +
+    paragraph('Please confirm your email address by clicking the button below:') +
+    button(verifyUrl, 'Verify my email') +
+    paragraph('This link expires in 24 hours. If you did not create a ROLLodx account, you can ignore this email.')
+}));
+
+defineTemplate('password_reset', 1, ({ firstName, resetUrl }) => ({
+  subject: 'Reset your ROLLodx password',
+  preheader: 'Choose a new password for your ROLLodx account.',
+  text: `Hi ${firstName},\n\nWe received a request to reset your ROLLodx password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.`,
+  html: paragraph(`Hi ${firstName},`) +
+    paragraph('We received a request to reset your ROLLodx password. Click the button below to choose a new one:') +
+    button(resetUrl, 'Reset my password') +
+    paragraph('This link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.')
+}));
+
+defineTemplate('organization_invitation', 1, ({ inviterEmail, organizationName, role, inviteUrl, expiresInDays }) => {
+  const invitation = `${inviterEmail} has invited you to join ${organizationName} on ROLLodx as ${role === 'admin' ? 'an' : 'a'} ${role}.`;
+  return {
+    subject: `You're invited to join ${organizationName} on ROLLodx`,
+    preheader: invitation,
+    text: `${invitation}\n\nAccept or decline the invitation here:\n\n${inviteUrl}\n\nThis invitation expires in ${expiresInDays} days.`,
+    html: paragraph(invitation) +
+      button(inviteUrl, 'Accept or decline the invitation') +
+      paragraph(`This invitation expires in ${expiresInDays} days.`)
+  };
+});
+
+defineTemplate('brand_verification_outcome', 1, ({ firstName, brandName, approved, reviewComments, brandUrl }) => {
+  const outcome = approved
+    ? `Good news: ${brandName} has been verified. Retailers will now see the verified badge on your brand profile.`
+    : `We were unable to verify ${brandName} based on the documents provided. You can start a new request with updated documents at any time.`;
+  return {
+    subject: approved
+      ? `${brandName} is now verified on ROLLodx`
+      : `Update on ${brandName}'s ROLLodx verification request`,
+    preheader: outcome,
+    text: `Hi ${firstName},\n\n${outcome}${reviewComments ? `\n\nReviewer comments:\n${reviewComments}` : ''}\n\n${brandUrl}`,
+    html: paragraph(`Hi ${firstName},`) +
+      paragraph(outcome) +
+      (reviewComments ? callout(`<strong>Reviewer comments</strong><br>${escapeHtml(reviewComments)}`) : '') +
+      button(brandUrl, `View ${brandName}`)
+  };
+});
+
+// TRANSPORTS
+// smtp delivers for real; file writes .eml files to outputDir; console logs the text part; capture
+// keeps the last MAIL_CAPTURE_LIMIT messages in mailer.captured so tests can assert on them.
+function createTransport(kind, smtp) {
+  switch (kind) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: smtp.host,
+        port: parseInt(smtp.port || '587'),
+        secure: smtp.port === '465',
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+    case 'capture':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+}
+
+const retryDelaySeconds = (attempts) => Math.min(MAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAIL_RETRY_MAX_SECONDS);
+
+function createMailer({ pool, logger, transport: kind, from, outputDir, smtp = {} }) {
+  const transport = createTransport(kind, smtp);
+  const captured = [];
+  let draining = null;
+  let drainAgain = false;
+  let pollTimer = null;
+
+  async function deliver(row) {
+    const info = await transport.sendMail({ from, to: row.recipient, subject: row.subject, text: row.text_body, html: row.html_body });
+
+    if (kind === 'file') {
+      fs.mkdirSync(outputDir, { recursive: true });
+      const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+      fs.writeFileSync(path.join(outputDir, filename), info.message);
+    } else if (kind === 'console') {
+      logger.info('ROLLodx mail (console transport)', { to: row.recipient, subject: row.subject, text: row.text_body });
+    } else if (kind === 'capture') {
+      captured.push({
+        id: row.id,
+        template: row.template,
+        templateVersion: row.template_version,
+        from,
+        to: row.recipient,
+        subject: row.subject,
+        text: row.text_body,
+        html: row.html_body,
+        messageId: info.messageId
+      });
+      captured.splice(0, captured.length - MAIL_CAPTURE_LIMIT);
+    }
+
+    return info;
+  }
+
+  // Claims due rows (and stale 'sending' ones) so concurrent workers never deliver the same row
+  async function claimBatch() {
+    const result = await pool.query(`
+      UPDATE mail_outbox
+      SET status = 'sending', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM mail_outbox
+        WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+           OR (status = 'sending' AND locked_at < CURRENT_TIMESTAMP - INTERVAL '${MAIL_STALE_LOCK}')
+        ORDER BY id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [MAIL_BATCH_SIZE]);
+    return result.rows;
+  }
+
+  async function deliverBatch() {
+    const rows = await claimBatch();
+
+    for (const row of rows) {
+      try {
+        const info = await deliver(row);
+        await pool.query(`
+          UPDATE mail_outbox
+          SET status = 'sent', sent_at = CURRENT_TIMESTAMP, message_id = $2, locked_at = NULL, last_error = NULL
+          WHERE id = $1
+        `, [row.id, info.messageId]);
+        logger.info('ROLLodx mail sent', { id: row.id, to: row.recipient, template: row.template, transport: kind });
+      } catch (error) {
+        const failed = row.attempts >= MAIL_MAX_ATTEMPTS;
+        await pool.query(`
+          UPDATE mail_outbox
+          SET status = $2, next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3), last_error = $4, locked_at = NULL
+          WHERE id = $1
+        `, [row.id, failed ? 'failed' : 'pending', retryDelaySeconds(row.attempts), error.message]);
+
+        if (failed) {
+          logger.error(`Mail ${row.id} to ${row.recipient} failed after ${row.attempts} attempts:`, error);
+        } else {
+          logger.warn(`Mail ${row.id} to ${row.recipient} failed, retrying in ${retryDelaySeconds(row.attempts)}s: ${error.message}`);
+        }
+      }
+    }
+
+    return rows.length;
+  }
+
+  // Delivers everything that's due. Calls made while a drain is running make it go around once more
+  // instead of starting a second one, so a message queued mid-drain isn't left for the next poll.
+  function processOutbox() {
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      do {
+        drainAgain = false;
+        while (await deliverBatch() > 0);
+      } while (drainAgain);
+    })()
+      .catch(error => logger.error('Mail outbox processing failed:', error))
+      .finally(() => { draining = null; });
+    return draining;
+  }
+
+  // Renders and queues a message; resolves with the outbox row once it's persisted
+  async function send(template, to, data) {
+    const message = renderTemplate(template, data);
+    const result = await pool.query(`
+      INSERT INTO mail_outbox (template, template_version, recipient, subject, text_body, html_body)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, template, template_version, recipient, status, created_at
+    `, [message.template, message.version, to, message.subject, message.text, message.html]);
+
+    setImmediate(processOutbox);
+    return result.rows[0];
+  }
+
+  function start() {
+    if (pollTimer) {
+      return;
+    }
+    processOutbox();
+    pollTimer = setInterval(processOutbox, MAIL_POLL_INTERVAL);
+    pollTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    return draining || Promise.resolve();
+  }
+
+  return { send, processOutbox, start, stop, captured, transport: kind };
+}
+
+module.exports = {
+  createMailer,
+  defineTemplate,
+  renderTemplate,
+  escapeHtml,
+  paragraph,
+  heading,
+  list,
+  button,
+  callout,
+  PALETTE
+};
@@ -0,0 +1,204 @@
+// Outbound HTTP to URLs that organizations supply (webhook endpoints, catalog and logo images).
+// Those URLs must not reach the platform's own network, so loopback, private, link-local and other
+// non-public addresses are refused. The check runs on the address each connection actually uses,
+// after DNS, so a hostname that resolves (or later re-resolves) to 10.0.0.5 or 169.254.169.254 is
+// refused as well. Response bodies are streamed and cut off at a byte cap.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const NON_PUBLIC_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 subnets
+const nonPublicAddresses = new net.BlockList();
+for (const [network, prefix, type] of NON_PUBLIC_SUBNETS) {
+  nonPublicAddresses.addSubnet(network, prefix, type);
+}
+
+const bareHostname = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1');
+
+function isPublicAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) {
+    return false;
+  }
+  return !nonPublicAddresses.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+const nonPublicError = (host) => Object.assign(
+  new Error(`${host} is not a public address`),
+  { code: 'NON_PUBLIC_ADDRESS' }
+);
+
+// dns.lookup with every resolved address checked, used as the socket's lookup so the address that
+// was checked is the one connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(nonPublicError(hostname));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves with why url can't be used for outbound requests, or null when it can. Used to reject a
+// URL when it's saved; request() checks again on every connection.
+async function outboundUrlProblem(url, { allowPrivateAddresses = false } = {}) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return 'URL must use http or https';
+  }
+  if (allowPrivateAddresses) {
+    return null;
+  }
+
+  const hostname = bareHostname(target.hostname);
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : `${hostname} is not a public address`;
+  }
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    return blocked ? `${hostname} is not a public address` : null;
+  } catch (error) {
+    return `${hostname} could not be resolved`;
+  }
+}
+
+const timeoutError = (timeoutMs) => Object.assign(
+  new Error(`No response within ${timeoutMs / 1000}s`),
+  { name: 'TimeoutError' }
+);
+
+// Sends one request and resolves with { status, headers, body, truncated }: body is a Buffer of at
+// most maxBytes, and truncated says the response was longer. timeoutMs bounds the whole exchange,
+// redirects included, and rejects with a TimeoutError. Redirects are followed (as GETs) only when
+// maxRedirects allows, each hop checked like the first.
+function request(url, options = {}) {
+  const { timeoutMs = 10 * 1000 } = options;
+  return send(url, { ...options, deadline: Date.now() + timeoutMs, timeoutMs });
+}
+
+function send(url, options) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    maxBytes = 1024 * 1024,
+    maxRedirects = 0,
+    allowPrivateAddresses = false,
+    signal,
+    deadline,
+    timeoutMs
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return reject(new Error('URL is not valid'));
+    }
+    const transport = { 'http:': http, 'https:': https }[target.protocol];
+    if (!transport) {
+      return reject(new Error('URL must use http or https'));
+    }
+    // lookup isn't consulted for IP literals, so those are checked here
+    const hostname = bareHostname(target.hostname);
+    if (!allowPrivateAddresses && net.isIP(hostname) && !isPublicAddress(hostname)) {
+      return reject(nonPublicError(hostname));
+    }
+
+    let settled = false;
+    const settle = (callback, value) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        callback(value);
+      }
+    };
+
+    const req = transport.request(target, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowPrivateAddresses ? undefined : publicLookup,
+      signal
+    });
+    const timer = setTimeout(() => {
+      settle(reject, timeoutError(timeoutMs));
+      req.destroy();
+    }, Math.max(deadline - Date.now(), 0));
+
+    req.on('error', error => settle(reject, error));
+    req.on('response', response => {
+      const { statusCode, headers: responseHeaders } = response;
+      if (statusCode >= 300 && statusCode < 400 && responseHeaders.location && maxRedirects > 0) {
+        response.resume();
+        clearTimeout(timer);
+        settled = true;
+        let next;
+        try {
+          next = new URL(responseHeaders.location, target).href;
+        } catch (error) {
+          return reject(new Error('Redirect location is not valid'));
+        }
+        return send(next, { ...options, method: 'GET', body: undefined, maxRedirects: maxRedirects - 1 }).then(resolve, reject);
+      }
+
+      const chunks = [];
+      let size = 0;
+      const finish = (truncated) => settle(resolve, {
+        status: statusCode,
+        headers: responseHeaders,
+        body: Buffer.concat(chunks, size),
+        truncated
+      });
+      response.on('data', chunk => {
+        if (size + chunk.length > maxBytes) {
+          chunks.push(chunk.subarray(0, maxBytes - size));
+          size = maxBytes;
+          finish(true);
+          response.destroy();
+          return;
+        }
+        chunks.push(chunk);
+        size += chunk.length;
+      });
+      response.on('end', () => finish(false));
+      response.on('error', error => settle(reject, error));
+    });
+    req.end(body);
+  });
+}
+
+module.exports = { isPublicAddress, outboundUrlProblem, request };
@@ -8,14 +8,35 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Readable } = require('stream');
 const { Pool } = require('pg');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const winston = require('winston');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { Server } = require('socket.io');
 require('dotenv').config();
+const { createMailer } = require('./mailer');
+const { createWebhookDispatcher, generateWebhookSecret } = require('./webhooks');
+const outboundHttp = require('./outboundHttp');
+const { runWeeklyDigest } = require('./weeklyDigest');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Number of reverse proxies in front of the API (Railway's router is one). req.ip, and so the rate
+// limiters and the per-IP login lock, only see the real client address when this matches the hop count.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || (process.env.NODE_ENV === 'production' ? '1' : '0'), 10);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// Requests to organization-supplied URLs (images, webhooks) refuse private and loopback addresses.
+// Local development can opt out to point them at services on the same machine; production never does.
+const ALLOW_PRIVATE_OUTBOUND = process.env.NODE_ENV !== 'production' && process.env.ALLOW_PRIVATE_OUTBOUND === 'true';
+
 // Logger configuration
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -25,6 +46,7 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   defaultMeta: { service: 'rollodex-api' },
+  silent: process.env.NODE_ENV === 'test',
   transports: [
     new winston.transports.Console({
       format: winston.format.combine(
@@ -44,15 +66,45 @@ const pool = new Pool({
   connectionTimeoutMillis: 5000,
 });
 
-// Test database connection
-pool.connect()
-  .then(client => {
-    logger.info('✅ ROLLodex database connected successfully');
+// Runs work(client) between BEGIN and COMMIT on one pooled connection, rolling back if it throws
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
     client.release();
-  })
-  .catch(err => {
-    logger.error('❌ Database connection failed:', err);
-  });
+  }
+}
+
+// Mail goes through the outbox in mailer.js. MAIL_TRANSPORT is smtp when SMTP_HOST is configured,
+// otherwise a local transport: 'file' writes .eml files to MAIL_OUTPUT_DIR, 'console' logs them and
+// 'capture' keeps them in memory (mailer.captured)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@brandcentral.com';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const mailer = createMailer({
+  pool,
+  logger,
+  transport: MAIL_TRANSPORT,
+  from: FROM_EMAIL,
+  outputDir: process.env.MAIL_OUTPUT_DIR || path.join(__dirname, 'mail'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+});
+
+// Outbound webhooks to organizations' integrations (see webhooks.js and WEBHOOK_EVENTS)
+const webhooks = createWebhookDispatcher({ pool, logger, allowPrivateAddresses: ALLOW_PRIVATE_OUTBOUND });
 
 // Create uploads directory
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -64,15 +116,24 @@ if (!fs.existsSync(brandUploadsDir)) {
   fs.mkdirSync(brandUploadsDir, { recursive: true });
 }
 
-// File upload configuration
-const storage = multer.diskStorage({
+// Verification documents and message attachments are kept outside the publicly served uploads directory
+const verificationUploadsDir = path.join(__dirname, 'private_uploads', 'verification');
+if (!fs.existsSync(verificationUploadsDir)) {
+  fs.mkdirSync(verificationUploadsDir, { recursive: true });
+}
+const messageUploadsDir = path.join(__dirname, 'private_uploads', 'messages');
+if (!fs.existsSync(messageUploadsDir)) {
+  fs.mkdirSync(messageUploadsDir, { recursive: true });
+}
+
+// File upload configuration; files are grouped in a folder per brand unless scopeId says otherwise
+const brandStorage = (baseDir, scopeId = (req) => req.params.brandId || req.body.brandId || 'temp') => multer.diskStorage({
   destination: function (req, file, cb) {
-    const brandId = req.params.brandId || req.body.brandId || 'temp';
-    const brandDir = path.join(brandUploadsDir, brandId.toString());
-    if (!fs.existsSync(brandDir)) {
-      fs.mkdirSync(brandDir, { recursive: true });
+    const scopeDir = path.join(baseDir, scopeId(req).toString());
+    if (!fs.existsSync(scopeDir)) {
+      fs.mkdirSync(scopeDir, { recursive: true });
     }
-    cb(null, brandDir);
+    cb(null, scopeDir);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -80,8 +141,7 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({ 
-  storage: storage,
+const uploadOptions = {
   limits: { 
     fileSize: 10 * 1024 * 1024, // 10MB limit
     files: 10 // Max 10 files
@@ -97,6 +157,23 @@ const upload = multer({
       cb(new Error('Invalid file type. Only images, documents, and videos allowed.'));
     }
   }
+};
+
+const upload = multer({ ...uploadOptions, storage: brandStorage(brandUploadsDir) });
+const verificationUpload = multer({ ...uploadOptions, storage: brandStorage(verificationUploadsDir) });
+// Runs after a relationship resolver, so attachments are filed by relationship
+const messageUpload = multer({ ...uploadOptions, storage: brandStorage(messageUploadsDir, (req) => req.relationship.id) });
+
+// Catalog imports are parsed in memory and never written to disk
+const catalogUpload = multer({
+  ...uploadOptions,
+  storage: multer.memoryStorage(),
+  fileFilter: function (req, file, cb) {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only .csv and .xlsx catalogs can be imported.'));
+  }
 });
 
 // Security middleware
@@ -129,6 +206,28 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Stricter limit for the endpoints that take credentials or send account email. Token refresh and
+// session management stay on the general limit: every signed-in user behind one NAT refreshes each
+// access-token lifetime, and password guessing is already throttled per account by login_throttle.
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 50, // limit each IP to 50 auth requests per windowMs
+  message: {
+    error: 'Too many authentication requests from this IP, please try again later.',
+    retryAfter: 900
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use([
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/forgot-password',
+  '/api/auth/reset-password',
+  '/api/auth/2fa/verify',
+  '/api/auth/verify-email'
+], authLimiter);
+
 // CORS
 const corsOptions = {
   origin: process.env.FRONTEND_URL || true,
@@ -163,6 +262,49 @@ app.use((req, res, next) => {
   next();
 });
 
+// Token configuration
+const JWT_SECRET = process.env.JWT_SECRET || 'rollodx-secret-key';
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+// user_sessions.last_seen_at is only rewritten once it's this old, not on every request
+const SESSION_LAST_SEEN_RESOLUTION = '1 minute';
+
+// Routes reachable with an access token that still owes 2FA enrollment
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa/', '/api/users/profile'];
+
+// Checks an access token and that its session hasn't been signed out, recording activity on live
+// sessions at most once per SESSION_LAST_SEEN_RESOLUTION. Resolves to { user, sessionId }, or to
+// { status, error, code } when the token is refused.
+async function verifyAccessToken(token) {
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    logger.warn('Invalid token attempt', { token: token.substring(0, 10) + '...' });
+    return { status: 403, error: 'Invalid or expired token', code: 'TOKEN_INVALID' };
+  }
+
+  const result = await pool.query(`
+    SELECT id, last_seen_at < NOW() - INTERVAL '${SESSION_LAST_SEEN_RESOLUTION}' as stale 
+    FROM user_sessions 
+    WHERE jti = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [user.jti || null, user.id]);
+
+  if (result.rows.length === 0) {
+    return { status: 401, error: 'Session has been revoked', code: 'SESSION_REVOKED' };
+  }
+
+  // Conditional so concurrent requests from one session don't all write the row
+  if (result.rows[0].stale) {
+    await pool.query(`
+      UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND last_seen_at < NOW() - INTERVAL '${SESSION_LAST_SEEN_RESOLUTION}'
+    `, [result.rows[0].id]);
+  }
+
+  return { user, sessionId: result.rows[0].id };
+}
+
 // JWT middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -175,18 +317,237 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'rollodex-secret-key', (err, user) => {
-    if (err) {
-      logger.warn('Invalid token attempt', { token: token.substring(0, 10) + '...' });
-      return res.status(403).json({ 
-        error: 'Invalid or expired token',
-        code: 'TOKEN_INVALID'
+  verifyAccessToken(token)
+    .then(({ user, sessionId, status, error, code }) => {
+      if (error) {
+        return res.status(status).json({ error, code });
+      }
+
+      // Users whose company requires 2FA may only enroll until they have done so
+      if (user.twoFactorSetupRequired && !TWO_FACTOR_SETUP_PATHS.some(p => req.originalUrl.startsWith(p))) {
+        return res.status(403).json({ 
+          error: 'Your company requires two-factor authentication. Please set it up to continue.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      req.user = user;
+      req.sessionId = sessionId;
+      next();
+    })
+    .catch(error => {
+      logger.error('Session lookup failed:', error);
+      res.status(500).json({ 
+        error: 'Authentication failed', 
+        code: 'SERVER_ERROR'
       });
+    });
+};
+
+// ?page= and ?limit= of paginated lists, converted to integers; limit is capped at maxLimit
+const paginationValidators = (maxLimit = 100) => [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: maxLimit }).toInt()
+];
+
+// REALTIME EVENTS
+// Socket.IO shares the API's HTTP server (attached once it is listening). Clients connect with the
+// same access token they send to the REST API, as auth: { token }. Each socket joins a room for its
+// user, which events are addressed to, and one for its session, so signing out cuts it off.
+const io = new Server({ cors: corsOptions, serveClient: false });
+
+const socketError = (message, code) => Object.assign(new Error(message), { data: { code } });
+
+io.use(async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+    if (!token) {
+      return next(socketError('Access token required', 'TOKEN_MISSING'));
+    }
+
+    const { user, error, code } = await verifyAccessToken(token);
+    if (error) {
+      return next(socketError(error, code));
     }
-    req.user = user;
+    if (user.twoFactorSetupRequired) {
+      return next(socketError('Your company requires two-factor authentication. Please set it up to continue.', 'TWO_FACTOR_SETUP_REQUIRED'));
+    }
+
+    socket.data.user = user;
     next();
+  } catch (error) {
+    logger.error('Socket authentication failed:', error);
+    next(socketError('Authentication failed', 'SERVER_ERROR'));
+  }
+});
+
+io.on('connection', (socket) => {
+  const { id, jti } = socket.data.user;
+  socket.join([`user:${id}`, `session:${jti}`]);
+});
+
+// Emits an event to every current member of the given organizations. Like logActivity, a failure
+// here is logged and never fails the request that triggered it.
+async function publishToOrganizations(organizationIds, event, payload) {
+  try {
+    const ids = [...new Set(organizationIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return;
+    }
+
+    const result = await pool.query(
+      'SELECT DISTINCT user_id FROM organization_members WHERE organization_id = ANY($1)',
+      [ids]
+    );
+    if (result.rows.length > 0) {
+      io.to(result.rows.map(row => `user:${row.user_id}`)).emit(event, { ...payload, at: new Date().toISOString() });
+    }
+  } catch (error) {
+    logger.error(`Failed to publish ${event}:`, error);
+  }
+}
+
+// relationship:created/updated/deleted go to both sides. The payload leaves out each side's private
+// notes; clients refetch what they need.
+async function publishRelationshipEvent(event, relationship, actorId, extra = {}) {
+  try {
+    const brandResult = await pool.query('SELECT organization_id FROM brands WHERE id = $1', [relationship.brand_id]);
+
+    await publishToOrganizations([relationship.retailer_organization_id, brandResult.rows[0]?.organization_id], event, {
+      relationshipId: relationship.id,
+      brandId: relationship.brand_id,
+      retailerOrganizationId: relationship.retailer_organization_id,
+      status: relationship.status,
+      actorId,
+      ...extra
+    });
+  } catch (error) {
+    logger.error(`Failed to publish ${event}:`, error);
+  }
+}
+
+// Retailer organizations with a live relationship with the brand
+async function partnerOrganizationIds(brandId) {
+  const result = await pool.query(`
+    SELECT DISTINCT retailer_organization_id FROM brand_retailer_relationships 
+    WHERE brand_id = $1 AND status NOT IN ('inactive', 'withdrawn')
+  `, [brandId]);
+  return result.rows.map(row => row.retailer_organization_id);
+}
+
+const isSharedAsset = (asset) => ['public', 'partners_only'].includes(asset.permission_level);
+
+// asset:uploaded/deleted go to the brand's members and, unless the asset is private to the brand,
+// to retailers with a live relationship with it
+async function publishAssetEvent(event, brand, assets, actorId) {
+  const payload = (visibleAssets) => ({
+    brandId: brand.id,
+    assets: visibleAssets.map(asset => ({ id: asset.id, original_name: asset.original_name, category: asset.category })),
+    actorId
   });
-};
+
+  try {
+    await publishToOrganizations([brand.organization_id], event, payload(assets));
+
+    const shared = assets.filter(isSharedAsset);
+    if (shared.length > 0) {
+      await publishToOrganizations(await partnerOrganizationIds(brand.id), event, payload(shared));
+    }
+  } catch (error) {
+    logger.error(`Failed to publish ${event}:`, error);
+  }
+}
+
+// NOTIFICATIONS
+// Each kind of notification is gated by one of the recipient's notification_preferences flags
+const NOTIFICATION_PREFERENCES = ['partnership_updates', 'asset_notifications'];
+
+// Stores a notification for every member of the given organizations whose preferences allow it and
+// pushes it to their open sockets. Users without a preferences row get the column defaults, and the
+// actor is never notified of their own change. Failures are logged, never raised.
+async function notifyOrganizations(organizationIds, preference, actorId, notification) {
+  try {
+    if (!NOTIFICATION_PREFERENCES.includes(preference)) {
+      throw new Error(`Unknown notification preference: ${preference}`);
+    }
+
+    const ids = [...new Set(organizationIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return;
+    }
+
+    const { type, title, body = null, entityType = null, entityId = null, data = null } = notification;
+    const result = await pool.query(`
+      INSERT INTO notifications (user_id, type, title, body, entity_type, entity_id, data) 
+      SELECT u.id, $3, $4, $5, $6, $7, $8 
+      FROM users u 
+      LEFT JOIN notification_preferences np ON np.user_id = u.id 
+      WHERE u.id IN (SELECT user_id FROM organization_members WHERE organization_id = ANY($1)) 
+        AND u.id IS DISTINCT FROM $2 
+        AND COALESCE(np.${preference}, true) 
+      RETURNING *
+    `, [ids, actorId, type, title, body, entityType, entityId, data && JSON.stringify(data)]);
+
+    for (const row of result.rows) {
+      io.to(`user:${row.user_id}`).emit('notification:created', row);
+    }
+  } catch (error) {
+    logger.error(`Failed to create ${notification.type} notifications:`, error);
+  }
+}
+
+// Notifies the retailer and/or brand side of a partnership. build(counterpartName, side) returns
+// the notification for that side, so each title names the other party.
+async function notifyPartnershipSides({ brandId, retailerOrganizationId }, actorId, build, sides = ['retailer', 'brand']) {
+  try {
+    const result = await pool.query(`
+      SELECT b.name as brand_name, b.organization_id as brand_organization_id, o.name as retailer_name 
+      FROM brands b, organizations o 
+      WHERE b.id = $1 AND o.id = $2
+    `, [brandId, retailerOrganizationId]);
+    const names = result.rows[0];
+    if (!names) {
+      return;
+    }
+
+    if (sides.includes('retailer')) {
+      await notifyOrganizations([retailerOrganizationId], 'partnership_updates', actorId, build(names.brand_name, 'retailer'));
+    }
+    if (sides.includes('brand')) {
+      await notifyOrganizations([names.brand_organization_id], 'partnership_updates', actorId, build(names.retailer_name, 'brand'));
+    }
+  } catch (error) {
+    logger.error('Failed to create partnership notifications:', error);
+  }
+}
+
+const relationshipParties = (relationship) => ({
+  brandId: relationship.brand_id,
+  retailerOrganizationId: relationship.retailer_organization_id
+});
+
+// Tells partner retailers about newly uploaded assets they can see
+async function notifyAssetsShared(brand, assets, actorId) {
+  try {
+    const shared = assets.filter(isSharedAsset);
+    if (shared.length === 0) {
+      return;
+    }
+
+    await notifyOrganizations(await partnerOrganizationIds(brand.id), 'asset_notifications', actorId, {
+      type: 'assets_shared',
+      title: shared.length === 1 
+        ? `${brand.name} shared ${shared[0].original_name}` 
+        : `${brand.name} shared ${shared.length} new assets`,
+      entityType: 'brand',
+      entityId: brand.id,
+      data: { assetIds: shared.map(asset => asset.id) }
+    });
+  } catch (error) {
+    logger.error('Failed to create asset notifications:', error);
+  }
+}
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -326,6 +687,63 @@ async function initDatabase() {
       )
     `);
 
+    // Create product_variants table (sellable pack configurations of a product)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES brand_products(id) ON DELETE CASCADE,
+        sku VARCHAR(100),
+        name VARCHAR(255) NOT NULL,
+        unit_size VARCHAR(50),
+        case_pack INTEGER CHECK (case_pack > 0),
+        gtin VARCHAR(14),
+        msrp DECIMAL(10,2),
+        wholesale_cost DECIMAL(10,2),
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create price_tiers table (volume price breaks per variant)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_tiers (
+        id SERIAL PRIMARY KEY,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+        min_quantity INTEGER NOT NULL CHECK (min_quantity > 0),
+        unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(variant_id, min_quantity)
+      )
+    `);
+
+    // Create price_lists table (negotiated pricing for one brand-retailer relationship)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_lists (
+        id SERIAL PRIMARY KEY,
+        relationship_id INTEGER REFERENCES brand_retailer_relationships(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+        effective_to DATE,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (effective_to IS NULL OR effective_to >= effective_from)
+      )
+    `);
+
+    // Create price_list_items table; a NULL price keeps the base price but still lists the item
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_list_items (
+        id SERIAL PRIMARY KEY,
+        price_list_id INTEGER REFERENCES price_lists(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES brand_products(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+        price DECIMAL(10,2) CHECK (price >= 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create brand_assets table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS brand_assets (
@@ -378,70 +796,485 @@ async function initDatabase() {
       )
     `);
 
-    // Create indexes for better performance
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_company_type ON users(company_type)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_owner ON brands(owner_id)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_industry ON brands(industry)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_public ON brands(is_public)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_relationships_brand ON brand_retailer_relationships(brand_id)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_relationships_retailer ON brand_retailer_relationships(retailer_id)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_assets_brand ON brand_assets(brand_id)');
-    await pool.query('CREATE INDEX IF NOT EXISTS idx_products_brand ON brand_products(brand_id)');
-
-    logger.info('✅ ROLLodex database tables and indexes created successfully');
-    
-    // Insert demo data
-    await insertDemoData();
-    
-  } catch (error) {
-    logger.error('❌ ROLLodex database initialization failed:', error);
-    throw error;
-  }
-}
+    // Create refresh_tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        family_id VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        replaced_by INTEGER REFERENCES refresh_tokens(id),
+        ip_address INET,
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
-async function insertDemoData() {
-  try {
-    // Check if demo data exists
-    const existingUsers = await pool.query('SELECT COUNT(*) FROM users');
-    if (parseInt(existingUsers.rows[0].count) > 0) {
-      logger.info('✅ ROLLodx demo data already exists');
-      return;
-    }
+    // Create user_sessions table (one row per login, keyed by the access token jti)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        jti VARCHAR(64) UNIQUE NOT NULL,
+        ip_address INET,
+        user_agent TEXT,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
-    logger.info('🌱 Creating ROLLodex demo data...');
-    const hashedPassword = await bcrypt.hash('password123', 12);
-    
-    // Demo retailer users
-    const retailerResult = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
-    `, ['admin@freshmarket.example.com', hashedPassword, 'Sarah', 'Johnson', 'retailer_admin', 'Fresh Market Co', 'retailer', '+1-555-0123', 'Head of Procurement', true]);
+    // Create user_tokens table (single-use tokens for email verification and similar flows)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(50) NOT NULL,
+        jti VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
-    const retailer2Result = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
-    `, ['buyer@urbanretail.example.com', hashedPassword, 'Michael', 'Chen', 'retailer_buyer', 'Urban Retail', 'retailer', '+1-555-0456', 'Senior Buyer', true]);
+    // Create login_throttle table (failed login counters keyed by 'email:<address>' or 'ip:<address>')
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_throttle (
+        key VARCHAR(300) PRIMARY KEY,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        first_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP
+      )
+    `);
 
-    // Demo brand users
-    const brandResult = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
-    `, ['admin@pureelements.example.com', hashedPassword, 'Emma', 'Green', 'brand_admin', 'Pure Elements', 'brand', '+1-555-0789', 'Brand Manager', true]);
+    // Two-factor authentication columns and recovery codes
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64)');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false');
 
-    const brand2Result = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
-    `, ['contact@techfoods.example.com', hashedPassword, 'David', 'Kim', 'brand_admin', 'TechFoods Innovation', 'brand', '+1-555-0321', 'Sales Director', true]);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
-    // Create brand profiles
-    const pureElementsBrand = await pool.query(`
-      INSERT INTO brands (name, description, industry, website, email, phone, address, city, state, country, postal_code, profile_completion_score, is_verified, owner_id) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id
-    `, ['Pure Elements', 'Organic and natural food products made with sustainable practices and premium ingredients sourced from local farms.', 'Natural Foods', 'https://pureelements.com', 'hello@pureelements.com', '+1-555-0789', '789 Green Valley Road', 'Boulder', 'CO', 'USA', '80301', 87, true, brandResult.rows[0].id]);
+    // Create organizations table (a brand or retailer company with any number of members)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        org_type VARCHAR(50) NOT NULL,
+        require_two_factor BOOLEAN DEFAULT false,
+        settings JSONB DEFAULT '{}',
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
-    const techFoodsBrand = await pool.query(`
-      INSERT INTO brands (name, description, industry, website, email, phone, address, city, state, country, postal_code, profile_completion_score, is_verified, owner_id) 
+    // Create organization_members table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_members (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'member',
+        invited_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, user_id)
+      )
+    `);
+
+    // Create organization_invitations table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_invitations (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'member',
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        invited_by INTEGER REFERENCES users(id),
+        expires_at TIMESTAMP NOT NULL,
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Brands, retailers and the retailer side of relationships belong to organizations
+    await pool.query('ALTER TABLE brands ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id)');
+    await pool.query('ALTER TABLE retailers ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id)');
+    await pool.query('ALTER TABLE brand_retailer_relationships ADD COLUMN IF NOT EXISTS retailer_organization_id INTEGER REFERENCES organizations(id)');
+    await pool.query('ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS impersonated_by INTEGER REFERENCES users(id)');
+    // What a platform admin's role was before PLATFORM_ADMIN_EMAILS promoted them, restored once they leave the list
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS role_before_platform_admin VARCHAR(50)');
+    await pool.query('ALTER TABLE brands ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP');
+    await pool.query('ALTER TABLE brands ADD COLUMN IF NOT EXISTS verified_by INTEGER REFERENCES users(id)');
+
+    // The brand's side of a relationship; notes stays the retailer's own
+    await pool.query('ALTER TABLE brand_retailer_relationships ADD COLUMN IF NOT EXISTS brand_notes TEXT');
+    await pool.query('ALTER TABLE brand_retailer_relationships ADD COLUMN IF NOT EXISTS account_rep_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await pool.query('ALTER TABLE brand_retailer_relationships ADD COLUMN IF NOT EXISTS terms TEXT');
+
+    // End of the last digest week each user has been sent (see weeklyDigest.js)
+    await pool.query('ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS digest_sent_through TIMESTAMP');
+
+    // Create brand verification request tables
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS brand_verification_requests (
+        id SERIAL PRIMARY KEY,
+        brand_id INTEGER REFERENCES brands(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'approved', 'rejected')),
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id),
+        submitted_by INTEGER REFERENCES users(id),
+        submitted_at TIMESTAMP,
+        reviewed_by INTEGER REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        review_comments TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS brand_verification_documents (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER REFERENCES brand_verification_requests(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        file_type VARCHAR(100),
+        file_size INTEGER,
+        file_path VARCHAR(500) NOT NULL,
+        description TEXT,
+        uploaded_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create purchase_orders table (a retailer's order against one brand relationship)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id SERIAL PRIMARY KEY,
+        order_number VARCHAR(20) UNIQUE,
+        relationship_id INTEGER REFERENCES brand_retailer_relationships(id) ON DELETE SET NULL,
+        brand_id INTEGER REFERENCES brands(id) ON DELETE CASCADE,
+        retailer_organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'submitted' 
+          CHECK (status IN ('submitted', 'confirmed', 'rejected', 'shipped', 'delivered', 'cancelled')),
+        price_list_id INTEGER REFERENCES price_lists(id) ON DELETE SET NULL,
+        ordered_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+        notes TEXT,
+        carrier VARCHAR(100),
+        tracking_number VARCHAR(100),
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create purchase_order_items table; SKU, names and price are copied so later catalog edits don't rewrite orders
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS purchase_order_items (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES purchase_orders(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES brand_products(id) ON DELETE SET NULL,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+        sku VARCHAR(100),
+        product_name VARCHAR(255) NOT NULL,
+        variant_name VARCHAR(255),
+        quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+        quantity_confirmed INTEGER CHECK (quantity_confirmed >= 0 AND quantity_confirmed <= quantity_ordered),
+        unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+        line_total DECIMAL(12,2) NOT NULL
+      )
+    `);
+
+    // Create purchase_order_history table (every status change, who made it and why)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS purchase_order_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES purchase_orders(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        note TEXT,
+        changed_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create relationship_status_history table (every status change, who made it and why)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS relationship_status_history (
+        id SERIAL PRIMARY KEY,
+        relationship_id INTEGER REFERENCES brand_retailer_relationships(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        reason TEXT,
+        changed_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create partnership_requests table (a brand's pitch to a retailer; accepting it creates the relationship)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS partnership_requests (
+        id SERIAL PRIMARY KEY,
+        brand_id INTEGER REFERENCES brands(id) ON DELETE CASCADE,
+        retailer_organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' 
+          CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+        message TEXT NOT NULL,
+        partnership_type VARCHAR(100),
+        response_message TEXT,
+        relationship_id INTEGER REFERENCES brand_retailer_relationships(id) ON DELETE SET NULL,
+        created_by INTEGER REFERENCES users(id),
+        responded_by INTEGER REFERENCES users(id),
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS partnership_request_assets (
+        request_id INTEGER REFERENCES partnership_requests(id) ON DELETE CASCADE,
+        asset_id INTEGER REFERENCES brand_assets(id) ON DELETE CASCADE,
+        PRIMARY KEY (request_id, asset_id)
+      )
+    `);
+
+    // Create messaging tables (conversation threads between the two sides of a relationship)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS message_threads (
+        id SERIAL PRIMARY KEY,
+        relationship_id INTEGER REFERENCES brand_retailer_relationships(id) ON DELETE CASCADE,
+        subject VARCHAR(255) NOT NULL,
+        created_by INTEGER REFERENCES users(id),
+        last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id SERIAL PRIMARY KEY,
+        thread_id INTEGER REFERENCES message_threads(id) ON DELETE CASCADE,
+        sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        sender_side VARCHAR(10) NOT NULL CHECK (sender_side IN ('brand', 'retailer')),
+        body TEXT NOT NULL DEFAULT '',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS message_attachments (
+        id SERIAL PRIMARY KEY,
+        message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        file_type VARCHAR(100),
+        file_size INTEGER,
+        file_path VARCHAR(500) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Read receipts: how far into each thread each user has read
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS message_reads (
+        thread_id INTEGER REFERENCES message_threads(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        last_read_message_id INTEGER NOT NULL,
+        read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (thread_id, user_id)
+      )
+    `);
+
+    // In-app notifications; type says what happened, entity_type/entity_id point at what it happened to
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT,
+        entity_type VARCHAR(50),
+        entity_id INTEGER,
+        data JSONB,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Outgoing mail, rendered when queued and delivered (with retries) by the worker in mailer.js
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mail_outbox (
+        id SERIAL PRIMARY KEY,
+        template VARCHAR(100) NOT NULL,
+        template_version INTEGER NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        message_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      )
+    `);
+
+    // Organization webhook subscriptions and the log of every delivery made to them
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        url VARCHAR(2000) NOT NULL,
+        description VARCHAR(255),
+        event_types TEXT[] NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id VARCHAR(36) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP
+      )
+    `);
+
+    // Create indexes for better performance
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_company_type ON users(company_type)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_owner ON brands(owner_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_industry ON brands(industry)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_public ON brands(is_public)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_relationships_brand ON brand_retailer_relationships(brand_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_relationships_retailer ON brand_retailer_relationships(retailer_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_assets_brand ON brand_assets(brand_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_products_brand ON brand_products(brand_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_products_category ON brand_products(brand_id, category)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_brand_sku ON brand_products(brand_id, sku) WHERE is_active = true');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_variants_product ON product_variants(product_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_variants_gtin ON product_variants(gtin)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_price_lists_relationship ON price_lists(relationship_id, effective_from)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_price_list_items_unique ON price_list_items(price_list_id, product_id, COALESCE(variant_id, 0))');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_purchase_orders_brand ON purchase_orders(brand_id, status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_purchase_orders_retailer ON purchase_orders(retailer_organization_id, status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order ON purchase_order_items(order_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_purchase_order_history_order ON purchase_order_history(order_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_relationship_history_relationship ON relationship_status_history(relationship_id)');
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_partnership_requests_open ON partnership_requests(brand_id, retailer_organization_id) WHERE status = 'pending'`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_partnership_requests_retailer ON partnership_requests(retailer_organization_id, status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_message_threads_relationship ON message_threads(relationship_id, last_message_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id, id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL');
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_mail_outbox_due ON mail_outbox(next_attempt_at) WHERE status IN ('pending', 'sending')`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_org ON webhook_subscriptions(organization_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at)');
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'sending')`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_org_members_user ON organization_members(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_org_invitations_email ON organization_invitations(email)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_brands_organization ON brands(organization_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_retailers_organization ON retailers(organization_id)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_relationships_brand_retailer_org ON brand_retailer_relationships(brand_id, retailer_organization_id)');
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_verification_requests_open ON brand_verification_requests(brand_id) WHERE status IN ('draft', 'submitted')`);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_verification_requests_status ON brand_verification_requests(status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_verification_documents_request ON brand_verification_documents(request_id)');
+
+    logger.info('✅ ROLLodex database tables and indexes created successfully');
+    
+    // Insert demo data
+    await insertDemoData();
+
+    // Give every pre-organization account a company of its own
+    await backfillOrganizations();
+
+    await promotePlatformAdmins();
+    
+  } catch (error) {
+    logger.error('❌ ROLLodex database initialization failed:', error);
+    throw error;
+  }
+}
+
+async function insertDemoData() {
+  try {
+    // Check if demo data exists
+    const existingUsers = await pool.query('SELECT COUNT(*) FROM users');
+    if (parseInt(existingUsers.rows[0].count) > 0) {
+      logger.info('✅ ROLLodx demo data already exists');
+      return;
+    }
+
+    logger.info('🌱 Creating ROLLodex demo data...');
+    const hashedPassword = await bcrypt.hash('password123', 12);
+    
+    // Demo retailer users
+    const retailerResult = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
+    `, ['admin@freshmarket.example.com', hashedPassword, 'Sarah', 'Johnson', 'retailer_admin', 'Fresh Market Co', 'retailer', '+1-555-0123', 'Head of Procurement', true]);
+
+    const retailer2Result = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
+    `, ['buyer@urbanretail.example.com', hashedPassword, 'Michael', 'Chen', 'retailer_buyer', 'Urban Retail', 'retailer', '+1-555-0456', 'Senior Buyer', true]);
+
+    // Demo brand users
+    const brandResult = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
+    `, ['admin@pureelements.example.com', hashedPassword, 'Emma', 'Green', 'brand_admin', 'Pure Elements', 'brand', '+1-555-0789', 'Brand Manager', true]);
+
+    const brand2Result = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
+    `, ['contact@techfoods.example.com', hashedPassword, 'David', 'Kim', 'brand_admin', 'TechFoods Innovation', 'brand', '+1-555-0321', 'Sales Director', true]);
+
+    // Create brand profiles
+    const pureElementsBrand = await pool.query(`
+      INSERT INTO brands (name, description, industry, website, email, phone, address, city, state, country, postal_code, profile_completion_score, is_verified, owner_id) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id
+    `, ['Pure Elements', 'Organic and natural food products made with sustainable practices and premium ingredients sourced from local farms.', 'Natural Foods', 'https://pureelements.com', 'hello@pureelements.com', '+1-555-0789', '789 Green Valley Road', 'Boulder', 'CO', 'USA', '80301', 87, true, brandResult.rows[0].id]);
+
+    const techFoodsBrand = await pool.query(`
+      INSERT INTO brands (name, description, industry, website, email, phone, address, city, state, country, postal_code, profile_completion_score, is_verified, owner_id) 
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id
     `, ['TechFoods Innovation', 'Next-generation food technology company creating innovative snacks and beverages powered by AI-driven nutrition science.', 'Food Technology', 'https://techfoods.io', 'contact@techfoods.io', '+1-555-0321', '321 Innovation Drive', 'Austin', 'TX', 'USA', '73301', 78, false, brand2Result.rows[0].id]);
 
@@ -524,259 +1357,6651 @@ async function insertDemoData() {
   }
 }
 
-// Activity logging function
-async function logActivity(userId, action, entityType, entityId, metadata = null, req = null) {
-  try {
+// Accounts created before organizations existed each become the owner of an
+// organization named after their company_name, taking their brands, retailer
+// profile and retailer-side relationships with them.
+async function backfillOrganizations() {
+  const usersResult = await pool.query(`
+    SELECT u.id, u.first_name, u.last_name, u.company_name, u.company_type, u.role 
+    FROM users u 
+    WHERE NOT EXISTS (SELECT 1 FROM organization_members m WHERE m.user_id = u.id)
+  `);
+
+  for (const user of usersResult.rows) {
+    const orgType = user.company_type || (user.role.includes('retailer') ? 'retailer' : 'brand');
+    const orgName = user.company_name || `${user.first_name} ${user.last_name}`;
+    const organizationId = await createOrganization(orgName, orgType, user.id);
+
+    await pool.query('UPDATE brands SET organization_id = $1 WHERE owner_id = $2 AND organization_id IS NULL', [organizationId, user.id]);
+    await pool.query('UPDATE retailers SET organization_id = $1 WHERE owner_id = $2 AND organization_id IS NULL', [organizationId, user.id]);
     await pool.query(`
-      INSERT INTO activity_log (user_id, action, entity_type, entity_id, metadata, ip_address, user_agent) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-    `, [
-      userId,
-      action,
-      entityType,
-      entityId,
-      metadata ? JSON.stringify(metadata) : null,
-      req?.ip,
-      req?.get('User-Agent')
-    ]);
-  } catch (error) {
-    logger.error('Activity logging failed:', error);
+      UPDATE brand_retailer_relationships SET retailer_organization_id = $1 
+      WHERE retailer_id = $2 AND retailer_organization_id IS NULL
+    `, [organizationId, user.id]);
+  }
+
+  if (usersResult.rows.length > 0) {
+    logger.info(`✅ ROLLodx organizations backfilled for ${usersResult.rows.length} user(s)`);
   }
 }
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Platform operators are named by email in PLATFORM_ADMIN_EMAILS (comma-separated). The list is the
+// whole truth: admins no longer on it get their previous role back and are signed out everywhere.
+async function promotePlatformAdmins() {
+  const emails = (process.env.PLATFORM_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  const demoted = await pool.query(`
+    UPDATE users 
+    SET role = COALESCE(role_before_platform_admin, CASE WHEN company_type = 'retailer' THEN 'retailer_admin' ELSE 'brand_admin' END), 
+        role_before_platform_admin = NULL, updated_at = CURRENT_TIMESTAMP 
+    WHERE role = 'platform_admin' AND NOT (LOWER(email) = ANY($1)) 
+    RETURNING id, email
+  `, [emails]);
+
+  for (const user of demoted.rows) {
+    await revokeUserSessions(user.id);
+    logger.info(`ROLLodx platform admin revoked from ${user.email}`);
+  }
 
-// AUTH ROUTES
-app.post('/api/auth/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 1 })
+  const promoted = await pool.query(`
+    UPDATE users SET role_before_platform_admin = role, role = 'platform_admin', updated_at = CURRENT_TIMESTAMP 
+    WHERE LOWER(email) = ANY($1) AND role <> 'platform_admin' 
+    RETURNING email
+  `, [emails]);
+
+  promoted.rows.forEach(row => logger.info(`✅ ROLLodx platform admin granted to ${row.email}`));
+}
+
+// ORGANIZATION HELPERS
+const ORG_ROLES = ['viewer', 'member', 'admin', 'owner'];
+const orgRoleAtLeast = (role, minRole) => ORG_ROLES.indexOf(role) >= ORG_ROLES.indexOf(minRole);
+
+// Subquery for "organizations the user in $n belongs to"
+const memberOrgsSql = (param) => `(SELECT organization_id FROM organization_members WHERE user_id = ${param})`;
+
+async function createOrganization(name, orgType, ownerId) {
+  const orgResult = await pool.query(
+    'INSERT INTO organizations (name, org_type, created_by) VALUES ($1, $2, $3) RETURNING id',
+    [name, orgType, ownerId]
+  );
+  const organizationId = orgResult.rows[0].id;
+
+  await pool.query(
+    'INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)',
+    [organizationId, ownerId, 'owner']
+  );
+
+  return organizationId;
+}
+
+// Returns the user's role in the organization, or null if they are not a member
+async function getOrgRole(userId, organizationId) {
+  if (!organizationId) {
+    return null;
+  }
+  const result = await pool.query(
+    'SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+  return result.rows[0]?.role || null;
+}
+
+// Resolves which of the user's organizations of the given type a request acts for:
+// the explicit id if supplied, otherwise the only one they have
+async function resolveUserOrganization(userId, orgType, organizationId = null) {
+  const result = await pool.query(`
+    SELECT o.id, m.role FROM organizations o 
+    JOIN organization_members m ON m.organization_id = o.id 
+    WHERE m.user_id = $1 AND o.org_type = $2 AND ($3::INTEGER IS NULL OR o.id = $3)
+    ORDER BY o.id
+  `, [userId, orgType, organizationId]);
+
+  if (result.rows.length !== 1) {
+    return null;
+  }
+  return { organizationId: result.rows[0].id, role: result.rows[0].role };
+}
+
+const INVITATION_TTL_DAYS = 7;
+
+// Platform role for a user whose only company is the one they were invited into
+const userRoleForOrgRole = (orgType, orgRole) => 
+  `${orgType}_${orgRoleAtLeast(orgRole, 'admin') ? 'admin' : 'member'}`;
+
+async function findPendingInvitation(token) {
+  const result = await pool.query(`
+    SELECT i.*, o.name as organization_name, o.org_type 
+    FROM organization_invitations i 
+    JOIN organizations o ON i.organization_id = o.id 
+    WHERE i.token_hash = $1 AND i.status = 'pending' AND i.expires_at > CURRENT_TIMESTAMP
+  `, [hashToken(token)]);
+  return result.rows[0] || null;
+}
+
+async function acceptInvitation(invitation, userId) {
+  await pool.query(`
+    INSERT INTO organization_members (organization_id, user_id, role, invited_by) 
+    VALUES ($1, $2, $3, $4) 
+    ON CONFLICT (organization_id, user_id) DO NOTHING
+  `, [invitation.organization_id, userId, invitation.role, invitation.invited_by]);
+
+  await pool.query(`
+    UPDATE organization_invitations SET status = 'accepted', responded_at = CURRENT_TIMESTAMP 
+    WHERE id = $1
+  `, [invitation.id]);
+}
+
+// PERMISSIONS
+// Role → permission matrix. 'authenticated' is what every signed-in user holds;
+// the organization roles apply within the organization a route's resolver returns,
+// and 'platform_admin' to operators whose users.role says so.
+const ROLE_PERMISSIONS = {
+  authenticated: ['account:read', 'account:write', 'brands:browse', 'retailers:browse', 'relationships:list', 'orders:list', 'analytics:read'],
+  platform_admin: ['platform:users:read', 'platform:users:write', 'platform:brands:verify', 'platform:impersonate', 'platform:stats:read'],
+  viewer: ['org:read', 'brand:read', 'brand:assets:read', 'relationships:read', 'orders:read'],
+  member: ['brand:write', 'brand:assets:write', 'relationships:write', 'orders:write'],
+  admin: ['org:manage', 'org:members:manage', 'org:webhooks:manage'],
+  owner: ['org:owners:manage']
+};
+
+// Each organization role also holds everything granted to the roles below it
+const hasPermission = (orgRole, permission, userRole = null) =>
+  ROLE_PERMISSIONS.authenticated.includes(permission) ||
+  (userRole === 'platform_admin' && ROLE_PERMISSIONS.platform_admin.includes(permission)) ||
+  (!!orgRole && ORG_ROLES.slice(0, ORG_ROLES.indexOf(orgRole) + 1)
+    .some(role => ROLE_PERMISSIONS[role].includes(permission)));
+
+// Resolvers map a request to the organization that owns the resource it targets,
+// loading the resource onto req on the way. They return null when it doesn't exist.
+const resolver = (resourceName, resolve) => Object.assign(resolve, { resourceName });
+
+const resolveOrganization = resolver('Organization', async (req) => {
+  const result = await pool.query('SELECT id FROM organizations WHERE id = $1', [req.params.id]);
+  return result.rows[0]?.id || null;
+});
+
+const resolveBrand = resolver('Brand', async (req) => {
+  const result = await pool.query('SELECT * FROM brands WHERE id = $1', [req.params.brandId || req.params.id]);
+  req.brand = result.rows[0];
+  return req.brand ? req.brand.organization_id : null;
+});
+
+// Public brands are visible to everyone signed in; private ones only to their members
+const canViewBrand = (req) => req.brand.is_public || hasPermission(req.orgRole, 'brand:read');
+
+const resolveRelationship = resolver('Relationship', async (req) => {
+  const result = await pool.query('SELECT * FROM brand_retailer_relationships WHERE id = $1', [req.params.id]);
+  req.relationship = result.rows[0];
+  return req.relationship ? req.relationship.retailer_organization_id : null;
+});
+
+// Same relationship, seen from the brand side
+const resolveRelationshipBrand = resolver('Relationship', async (req) => {
+  const result = await pool.query(`
+    SELECT r.*, b.organization_id as brand_organization_id 
+    FROM brand_retailer_relationships r 
+    JOIN brands b ON r.brand_id = b.id 
+    WHERE r.id = $1
+  `, [req.params.id]);
+  req.relationship = result.rows[0];
+  return req.relationship ? req.relationship.brand_organization_id : null;
+});
+
+// Either side of a relationship: resolves to whichever side the user is a member of, retailer first
+const resolveRelationshipParty = resolver('Relationship', async (req) => {
+  const result = await pool.query(`
+    SELECT r.*, b.organization_id as brand_organization_id 
+    FROM brand_retailer_relationships r 
+    JOIN brands b ON r.brand_id = b.id 
+    WHERE r.id = $1
+  `, [req.params.id]);
+  req.relationship = result.rows[0];
+  if (!req.relationship) {
+    return null;
+  }
+  req.relationshipSide = await getOrgRole(req.user.id, req.relationship.retailer_organization_id) ? 'retailer' : 'brand';
+  return req.relationshipSide === 'retailer' ? req.relationship.retailer_organization_id : req.relationship.brand_organization_id;
+});
+
+// A brand's partnership request, resolved like resolveRelationshipParty to the user's side
+const resolvePartnershipRequest = resolver('Partnership request', async (req) => {
+  const result = await pool.query(`
+    SELECT pr.*, b.organization_id as brand_organization_id 
+    FROM partnership_requests pr 
+    JOIN brands b ON pr.brand_id = b.id 
+    WHERE pr.id = $1
+  `, [req.params.id]);
+  req.partnershipRequest = result.rows[0];
+  if (!req.partnershipRequest) {
+    return null;
+  }
+  req.requestSide = await getOrgRole(req.user.id, req.partnershipRequest.retailer_organization_id) ? 'retailer' : 'brand';
+  return req.requestSide === 'retailer' 
+    ? req.partnershipRequest.retailer_organization_id 
+    : req.partnershipRequest.brand_organization_id;
+});
+
+// A message thread, resolved through its relationship to the user's side
+const resolveMessageThread = resolver('Thread', async (req) => {
+  const result = await pool.query(`
+    SELECT t.*, r.retailer_organization_id, b.organization_id as brand_organization_id 
+    FROM message_threads t 
+    JOIN brand_retailer_relationships r ON t.relationship_id = r.id 
+    JOIN brands b ON r.brand_id = b.id 
+    WHERE t.id = $1
+  `, [req.params.threadId]);
+  req.thread = result.rows[0];
+  if (!req.thread) {
+    return null;
+  }
+  req.relationship = { id: req.thread.relationship_id };
+  req.relationshipSide = await getOrgRole(req.user.id, req.thread.retailer_organization_id) ? 'retailer' : 'brand';
+  return req.relationshipSide === 'retailer' ? req.thread.retailer_organization_id : req.thread.brand_organization_id;
+});
+
+// Orders belong to both sides of a relationship; resolves to the side the user is a member of
+const resolvePurchaseOrder = resolver('Purchase order', async (req) => {
+  const result = await pool.query(`
+    SELECT o.*, b.organization_id as brand_organization_id 
+    FROM purchase_orders o 
+    JOIN brands b ON o.brand_id = b.id 
+    WHERE o.id = $1
+  `, [req.params.id]);
+  req.order = result.rows[0];
+  if (!req.order) {
+    return null;
+  }
+  req.orderSide = await getOrgRole(req.user.id, req.order.retailer_organization_id) ? 'retailer' : 'brand';
+  return req.orderSide === 'retailer' ? req.order.retailer_organization_id : req.order.brand_organization_id;
+});
+
+// The retailer organization the user acts for: the one in body.organizationId, or their only one
+const resolveRetailerOrganization = resolver('Retailer organization', async (req) => {
+  const retailerOrg = await resolveUserOrganization(req.user.id, 'retailer', parseInt(req.body.organizationId) || null);
+  return retailerOrg ? retailerOrg.organizationId : null;
+});
+
+// requirePermission('brand:assets:write', resolveBrand) — sets req.organizationId and req.orgRole for the handler
+const requirePermission = (permission, resolveOrg = null) => async (req, res, next) => {
+  try {
+    let organizationId = null;
+    let orgRole = null;
+
+    if (resolveOrg) {
+      organizationId = await resolveOrg(req);
+      if (!organizationId) {
+        return res.status(404).json({
+          error: `${resolveOrg.resourceName} not found`,
+          code: 'NOT_FOUND'
+        });
+      }
+      orgRole = await getOrgRole(req.user.id, organizationId);
+    }
+
+    if (!hasPermission(orgRole, permission, req.user.role)) {
+      return res.status(403).json({
+        error: 'You do not have permission to do that',
+        code: 'PERMISSION_DENIED',
+        permission
+      });
+    }
+
+    req.organizationId = organizationId;
+    req.orgRole = orgRole;
+    next();
+  } catch (error) {
+    logger.error('Permission check failed:', error);
+    res.status(500).json({
+      error: 'Failed to check permissions',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// BRAND VERIFICATION HELPERS
+// Requests move draft → submitted → approved | rejected; after a rejection the brand starts a new draft
+const VERIFICATION_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+const canTransitionVerification = (from, to) => VERIFICATION_TRANSITIONS[from].includes(to);
+
+const VERIFICATION_DOCUMENT_COLUMNS = 'id, request_id, original_name, file_type, file_size, description, uploaded_by, created_at';
+
+async function getVerificationDocuments(requestIds) {
+  const result = await pool.query(
+    `SELECT ${VERIFICATION_DOCUMENT_COLUMNS} FROM brand_verification_documents WHERE request_id = ANY($1) ORDER BY created_at`,
+    [requestIds]
+  );
+  return result.rows;
+}
+
+// Loads :requestId for the brand resolved into req.brand; editing routes only accept drafts
+const loadVerificationRequest = (draftOnly = false) => async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM brand_verification_requests WHERE id = $1 AND brand_id = $2',
+      [req.params.requestId, req.brand.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Verification request not found' });
+    }
+
+    if (draftOnly && result.rows[0].status !== 'draft') {
+      return res.status(400).json({ 
+        error: `A ${result.rows[0].status} verification request can no longer be changed`,
+        code: 'VERIFICATION_REQUEST_LOCKED'
+      });
+    }
+
+    req.verificationRequest = result.rows[0];
+    next();
+  } catch (error) {
+    logger.error('Verification request lookup failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to load verification request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Tells the brand's owners and admins how their verification request was decided
+async function sendVerificationOutcomeEmail(brand, request) {
+  const recipients = await pool.query(`
+    SELECT u.email, u.first_name FROM organization_members m 
+    JOIN users u ON m.user_id = u.id 
+    WHERE m.organization_id = $1 AND m.role IN ('owner', 'admin') AND u.is_active = true
+  `, [brand.organization_id]);
+
+  for (const recipient of recipients.rows) {
+    await mailer.send('brand_verification_outcome', recipient.email, {
+      firstName: recipient.first_name,
+      brandName: brand.name,
+      approved: request.status === 'approved',
+      reviewComments: request.review_comments,
+      brandUrl: `${FRONTEND_URL}/brands/${brand.id}`
+    });
+  }
+}
+
+// Activity logging function
+async function logActivity(userId, action, entityType, entityId, metadata = null, req = null) {
+  try {
+    // Anything done from an impersonated session is attributed to the admin behind it
+    if (req?.user?.impersonatedBy) {
+      metadata = { ...metadata, impersonatedBy: req.user.impersonatedBy };
+    }
+
+    await pool.query(`
+      INSERT INTO activity_log (user_id, action, entity_type, entity_id, metadata, ip_address, user_agent) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      userId,
+      action,
+      entityType,
+      entityId,
+      metadata ? JSON.stringify(metadata) : null,
+      req?.ip,
+      req?.get('User-Agent')
+    ]);
+  } catch (error) {
+    logger.error('Activity logging failed:', error);
+  }
+
+  await publishWebhookEvent(userId, action, entityType, entityId, metadata);
+}
+
+// WEBHOOK EVENTS
+// Activity published to webhook subscribers: the event type, which organizations receive it and
+// the metadata fields copied into the payload. Free-text fields such as notes stay out, since the
+// other side of a relationship receives the same event.
+//   relationship / partnership_request / purchase_order: both sides
+//   asset: the brand, plus partner retailers when the asset is shared with them
+//   brand: the brand only
+const WEBHOOK_EVENTS = {
+  RELATIONSHIP_CREATED: { type: 'relationship.created', audience: 'relationship', fields: ['brandId', 'status', 'partnershipType'] },
+  RELATIONSHIP_UPDATED: { type: 'relationship.updated', audience: 'relationship', fields: ['side', 'statusChange'] },
+  RELATIONSHIP_DELETED: { type: 'relationship.deleted', audience: 'relationship', fields: ['brandId', 'retailerOrganizationId'] },
+  PARTNERSHIP_REQUEST_SENT: { type: 'partnership_request.sent', audience: 'partnership_request', fields: ['brandId', 'retailerOrganizationId'] },
+  PARTNERSHIP_REQUEST_ACCEPTED: { type: 'partnership_request.accepted', audience: 'partnership_request', fields: ['brandId', 'relationshipId'] },
+  PARTNERSHIP_REQUEST_DECLINED: { type: 'partnership_request.declined', audience: 'partnership_request', fields: ['brandId'] },
+  PARTNERSHIP_REQUEST_WITHDRAWN: { type: 'partnership_request.withdrawn', audience: 'partnership_request', fields: ['brandId'] },
+  PRICE_LIST_CREATED: { type: 'price_list.created', audience: 'relationship', fields: ['priceListId'] },
+  PRICE_LIST_UPDATED: { type: 'price_list.updated', audience: 'relationship', fields: ['priceListId'] },
+  PRICE_LIST_DELETED: { type: 'price_list.deleted', audience: 'relationship', fields: ['priceListId'] },
+  ORDER_SUBMITTED: { type: 'order.submitted', audience: 'purchase_order', fields: ['orderNumber', 'relationshipId', 'brandId', 'lineCount', 'total'] },
+  ...Object.fromEntries(['confirmed', 'rejected', 'shipped', 'delivered', 'cancelled'].map(status => [
+    `ORDER_${status.toUpperCase()}`,
+    { type: `order.${status}`, audience: 'purchase_order', fields: ['orderNumber', 'fromStatus', 'side', 'partial', 'total'] }
+  ])),
+  ASSET_UPLOADED: { type: 'asset.published', audience: 'asset', fields: ['brandId', 'filename', 'category'] },
+  ASSET_DELETED: { type: 'asset.deleted', audience: 'asset', fields: ['brandId', 'filename'] },
+  PRODUCT_CREATED: { type: 'product.created', audience: 'brand', fields: ['brandId', 'sku'] },
+  PRODUCT_UPDATED: { type: 'product.updated', audience: 'brand', fields: ['brandId'] },
+  PRODUCT_DELETED: { type: 'product.deleted', audience: 'brand', fields: ['brandId', 'sku'] },
+  PRODUCTS_IMPORTED: { type: 'products.imported', audience: 'brand', fields: ['totalRows', 'created', 'updated', 'skipped'] },
+  BRAND_UPDATED: { type: 'brand.updated', audience: 'brand', fields: [] },
+  BRAND_VERIFIED: { type: 'brand.verified', audience: 'brand', fields: [] },
+  BRAND_UNVERIFIED: { type: 'brand.unverified', audience: 'brand', fields: [] }
+};
+const WEBHOOK_EVENT_TYPES = Object.values(WEBHOOK_EVENTS).map(event => event.type);
+
+const brandOrganizationSql = '(SELECT organization_id FROM brands WHERE id = $1)';
+
+// Organizations that receive an event. Rows may already be gone (deletions), so the metadata the
+// call site logged is the fallback.
+async function webhookAudience(audience, entityId, metadata) {
+  switch (audience) {
+    case 'relationship': {
+      const result = await pool.query(`
+        SELECT r.retailer_organization_id, b.organization_id as brand_organization_id 
+        FROM brand_retailer_relationships r JOIN brands b ON r.brand_id = b.id 
+        WHERE r.id = $1
+      `, [entityId]);
+      if (result.rows[0]) {
+        return [result.rows[0].retailer_organization_id, result.rows[0].brand_organization_id];
+      }
+      const brandResult = await pool.query(`SELECT ${brandOrganizationSql} as organization_id`, [metadata?.brandId]);
+      return [metadata?.retailerOrganizationId, brandResult.rows[0].organization_id];
+    }
+    case 'partnership_request':
+    case 'purchase_order': {
+      const table = audience === 'partnership_request' ? 'partnership_requests' : 'purchase_orders';
+      const result = await pool.query(`
+        SELECT t.retailer_organization_id, b.organization_id as brand_organization_id 
+        FROM ${table} t JOIN brands b ON t.brand_id = b.id 
+        WHERE t.id = $1
+      `, [entityId]);
+      return result.rows[0] ? [result.rows[0].retailer_organization_id, result.rows[0].brand_organization_id] : [];
+    }
+    case 'asset': {
+      const brandResult = await pool.query(`SELECT ${brandOrganizationSql} as organization_id`, [metadata?.brandId]);
+      const organizationIds = [brandResult.rows[0].organization_id];
+      if (isSharedAsset({ permission_level: metadata?.permission_level })) {
+        organizationIds.push(...await partnerOrganizationIds(metadata.brandId));
+      }
+      return organizationIds;
+    }
+    case 'brand': {
+      const result = await pool.query(`SELECT ${brandOrganizationSql} as organization_id`, [metadata?.brandId ?? entityId]);
+      return [result.rows[0].organization_id];
+    }
+    default:
+      throw new Error(`Unknown webhook audience: ${audience}`);
+  }
+}
+
+// Like logActivity itself, a failure here is logged and never fails the request
+async function publishWebhookEvent(userId, action, entityType, entityId, metadata) {
+  const event = WEBHOOK_EVENTS[action];
+  if (!event) {
+    return;
+  }
+
+  try {
+    const organizationIds = await webhookAudience(event.audience, entityId, metadata);
+    const fields = Object.fromEntries(event.fields
+      .filter(field => metadata?.[field] !== undefined)
+      .map(field => [field, metadata[field]]));
+
+    await webhooks.publish(organizationIds, event.type, { entityType, entityId, actorId: userId, ...fields });
+  } catch (error) {
+    logger.error(`Failed to publish ${event.type} webhook:`, error);
+  }
+}
+
+// Token helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function signAccessToken(user, familyId, extraClaims = {}) {
+  return jwt.sign(
+    { 
+      id: user.id, 
+      email: user.email, 
+      role: user.role,
+      companyName: user.company_name,
+      companyType: user.company_type,
+      ...extraClaims
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: familyId }
+  );
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Every token issued from one login shares a family_id so the whole chain can
+// be revoked at once on logout or when a rotated token is replayed.
+async function issueRefreshToken(userId, familyId, req = null) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const result = await pool.query(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, ip_address, user_agent) 
+    VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6) RETURNING id
+  `, [userId, hashToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS, req?.ip, req?.get('User-Agent')]);
+
+  return { refreshToken, id: result.rows[0].id };
+}
+
+// 2FA is required if any organization the user belongs to demands it
+async function isTwoFactorRequired(user) {
+  const result = await pool.query(`
+    SELECT 1 FROM organizations o 
+    JOIN organization_members m ON m.organization_id = o.id 
+    WHERE m.user_id = $1 AND o.require_two_factor = true 
+    LIMIT 1
+  `, [user.id]);
+
+  return result.rows.length > 0;
+}
+
+// Claims recomputed on every issue so a new company policy applies at the next refresh
+async function accessTokenClaims(user) {
+  if (!user.two_factor_enabled && await isTwoFactorRequired(user)) {
+    return { twoFactorSetupRequired: true };
+  }
+  return {};
+}
+
+// The refresh token family id doubles as the session id carried in the access
+// token's jti, so revoking a session and revoking its refresh chain are one act.
+async function issueAuthTokens(user, req = null) {
+  const familyId = crypto.randomUUID();
+
+  await pool.query(`
+    INSERT INTO user_sessions (user_id, jti, ip_address, user_agent) 
+    VALUES ($1, $2, $3, $4)
+  `, [user.id, familyId, req?.ip, req?.get('User-Agent')]);
+
+  const { refreshToken } = await issueRefreshToken(user.id, familyId, req);
+
+  const claims = await accessTokenClaims(user);
+
+  return {
+    token: signAccessToken(user, familyId, claims),
+    refreshToken,
+    twoFactorSetupRequired: !!claims.twoFactorSetupRequired
+  };
+}
+
+async function revokeSession(familyId) {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE jti = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+  await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+  io.in(`session:${familyId}`).disconnectSockets(true);
+}
+
+// Revokes every live session for a user, optionally sparing the caller's own
+async function revokeUserSessions(userId, exceptJti = null) {
+  const result = await pool.query(`
+    SELECT jti FROM user_sessions 
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::VARCHAR IS NULL OR jti <> $2)
+  `, [userId, exceptJti]);
+
+  for (const row of result.rows) {
+    await revokeSession(row.jti);
+  }
+
+  return result.rows.length;
+}
+
+// Single-use tokens are signed JWTs carrying a purpose claim; the jti is recorded
+// in user_tokens and burned on first use.
+async function issueUserToken(userId, purpose, expiresIn) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ id: userId, purpose }, JWT_SECRET, { expiresIn, jwtid: jti });
+  const { exp } = jwt.decode(token);
+
+  await pool.query(`
+    INSERT INTO user_tokens (user_id, purpose, jti, expires_at) 
+    VALUES ($1, $2, $3, to_timestamp($4))
+  `, [userId, purpose, jti, exp]);
+
+  return token;
+}
+
+// Returns the token's user id, or null if it is invalid, expired, spent or for another purpose
+async function consumeUserToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || !payload.jti) {
+    return null;
+  }
+
+  const result = await pool.query(`
+    UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP 
+    WHERE jti = $1 AND purpose = $2 AND user_id = $3 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP 
+    RETURNING user_id
+  `, [payload.jti, purpose, payload.id]);
+
+  return result.rows[0]?.user_id || null;
+}
+
+const EMAIL_VERIFICATION_TTL = '24h';
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+const EMAIL_VERIFICATION_MAX_PER_HOUR = 5;
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL);
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await mailer.send('email_verification', user.email, { firstName: user.first_name, verifyUrl });
+}
+
+const PASSWORD_RESET_TTL = '1h';
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL);
+  const resetUrl = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await mailer.send('password_reset', user.email, { firstName: user.first_name, resetUrl });
+}
+
+// Two-factor authentication (TOTP, RFC 6238) with one-time recovery codes
+authenticator.options = { window: 1 };
+const TWO_FACTOR_ISSUER = 'ROLLodx';
+const TWO_FACTOR_LOGIN_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-f0-9]/g, '');
+
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await pool.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+// Accepts either a current TOTP code or an unused recovery code (which is then spent)
+async function verifyTwoFactorCode(user, code) {
+  const trimmed = String(code || '').trim();
+
+  if (/^\d{6}$/.test(trimmed)) {
+    return authenticator.verify({ token: trimmed, secret: user.two_factor_secret });
+  }
+
+  const result = await pool.query(`
+    UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP 
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL 
+    RETURNING id
+  `, [user.id, hashToken(normalizeRecoveryCode(trimmed))]);
+
+  return result.rows.length > 0;
+}
+
+const authUserResponse = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  role: user.role,
+  companyName: user.company_name,
+  companyType: user.company_type,
+  phone: user.phone,
+  title: user.title,
+  emailVerified: user.email_verified,
+  twoFactorEnabled: !!user.two_factor_enabled
+});
+
+// Final step shared by password-only and two-factor logins
+async function completeLogin(user, req, res, metadata = {}) {
+  await clearAccountThrottle(user.email);
+
+  // Update last login
+  await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+  const { token, refreshToken, twoFactorSetupRequired } = await issueAuthTokens(user, req);
+
+  await logActivity(user.id, 'LOGIN_SUCCESS', 'user', user.id, { ip: req.ip, ...metadata }, req);
+
+  logger.info('ROLLodx login successful', { userId: user.id, email: user.email });
+
+  res.json({
+    token,
+    refreshToken,
+    twoFactorSetupRequired,
+    user: authUserResponse(user)
+  });
+}
+
+// Brand members must confirm their email before publishing or uploading
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+    if (!result.rows[0]?.email_verified) {
+      return res.status(403).json({ 
+        error: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Email verification check failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to check email verification', 
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Login throttling. Counters are keyed by the submitted email string rather than
+// the user row, so unknown addresses lock out exactly like real ones.
+const LOGIN_WINDOW_MINUTES = 15;
+const LOGIN_LOCKOUT_MINUTES = 15;
+const ACCOUNT_LOCK_THRESHOLD = 5;
+const IP_LOCK_THRESHOLD = 20;
+const LOGIN_DELAY_AFTER_FAILURES = 3;
+const LOGIN_MAX_DELAY_MS = 8000;
+
+// Compared against when the email is unknown so both paths cost one bcrypt round
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('rollodx-timing-equalizer', 12);
+
+const loginThrottleKeys = (email, ip) => [`email:${email}`, `ip:${ip}`];
+
+async function getLoginThrottle(email, ip) {
+  const result = await pool.query(`
+    SELECT failed_count, 
+           CASE WHEN locked_until > CURRENT_TIMESTAMP 
+                THEN CEIL(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP))) END as lock_seconds
+    FROM login_throttle 
+    WHERE key = ANY($1) 
+    AND (locked_until > CURRENT_TIMESTAMP OR first_failed_at > NOW() - make_interval(mins => $2))
+  `, [loginThrottleKeys(email, ip), LOGIN_WINDOW_MINUTES]);
+
+  return {
+    failures: Math.max(0, ...result.rows.map(row => row.failed_count)),
+    lockSeconds: Math.max(0, ...result.rows.map(row => parseInt(row.lock_seconds) || 0))
+  };
+}
+
+// Returns true if this failure tipped the email or IP into a lockout
+async function recordLoginFailure(email, ip) {
+  let locked = false;
+  const thresholds = [ACCOUNT_LOCK_THRESHOLD, IP_LOCK_THRESHOLD];
+  const keys = loginThrottleKeys(email, ip);
+
+  for (let i = 0; i < keys.length; i++) {
+    await pool.query(`
+      INSERT INTO login_throttle (key, failed_count, first_failed_at) VALUES ($1, 1, CURRENT_TIMESTAMP)
+      ON CONFLICT (key) DO UPDATE SET
+        failed_count = CASE WHEN login_throttle.first_failed_at < NOW() - make_interval(mins => $2) 
+                            THEN 1 ELSE login_throttle.failed_count + 1 END,
+        first_failed_at = CASE WHEN login_throttle.first_failed_at < NOW() - make_interval(mins => $2) 
+                               THEN CURRENT_TIMESTAMP ELSE login_throttle.first_failed_at END
+    `, [keys[i], LOGIN_WINDOW_MINUTES]);
+
+    // Lock and start a fresh count for when the lock lifts
+    const lockResult = await pool.query(`
+      UPDATE login_throttle 
+      SET locked_until = NOW() + make_interval(mins => $2), failed_count = 0, first_failed_at = CURRENT_TIMESTAMP 
+      WHERE key = $1 AND failed_count >= $3 
+      RETURNING key
+    `, [keys[i], LOGIN_LOCKOUT_MINUTES, thresholds[i]]);
+
+    if (lockResult.rows.length > 0) {
+      locked = true;
+      logger.warn('Login lockout triggered', { key: keys[i] });
+    }
+  }
+
+  return locked;
+}
+
+async function clearAccountThrottle(email) {
+  await pool.query('DELETE FROM login_throttle WHERE key = $1', [`email:${email}`]);
+}
+
+const loginDelayMs = (failures) => failures < LOGIN_DELAY_AFTER_FAILURES 
+  ? 0 
+  : Math.min(1000 * Math.pow(2, failures - LOGIN_DELAY_AFTER_FAILURES), LOGIN_MAX_DELAY_MS);
+
+// Serve static files from uploads directory
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// AUTH ROUTES
+app.post('/api/auth/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { email, password } = req.body;
+    logger.info('ROLLodex login attempt', { email });
+
+    const throttle = await getLoginThrottle(email, req.ip);
+    if (throttle.lockSeconds > 0) {
+      logger.warn('Login blocked - locked out', { email, ip: req.ip });
+      return res.status(429).json({ 
+        error: 'Too many failed login attempts. Please try again later.',
+        code: 'LOGIN_LOCKED',
+        retryAfter: throttle.lockSeconds
+      });
+    }
+
+    const delayMs = loginDelayMs(throttle.failures);
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE email = $1 AND is_active = true', [email]);
+    const user = result.rows[0];
+
+    const validPassword = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !validPassword) {
+      const locked = await recordLoginFailure(email, req.ip);
+
+      if (user) {
+        logger.warn('Login failed - invalid password', { email });
+        await logActivity(user.id, 'LOGIN_FAILED', 'user', user.id, { reason: 'invalid_password' }, req);
+        if (locked) {
+          await logActivity(user.id, 'ACCOUNT_LOCKED', 'user', user.id, { lockoutMinutes: LOGIN_LOCKOUT_MINUTES }, req);
+        }
+      } else {
+        logger.warn('Login failed - user not found', { email });
+      }
+
+      return res.status(401).json({ 
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Password was right; with 2FA on, hand back a short-lived challenge instead of a session
+    if (user.two_factor_enabled) {
+      const twoFactorToken = await issueUserToken(user.id, 'two_factor_login', TWO_FACTOR_LOGIN_TTL);
+      await logActivity(user.id, 'LOGIN_2FA_CHALLENGE', 'user', user.id, null, req);
+      return res.json({ twoFactorRequired: true, twoFactorToken });
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    logger.error('ROLLodx login error:', error);
+    res.status(500).json({ 
+      error: 'Login failed', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/register', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 }),
+  body('firstName').isLength({ min: 1 }).trim(),
+  body('lastName').isLength({ min: 1 }).trim(),
+  body('companyName').if(body('invitationToken').not().exists()).isLength({ min: 1 }).trim(),
+  body('companyType').if(body('invitationToken').not().exists()).isIn(['retailer', 'brand']),
+  body('invitationToken').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { email, password, firstName, lastName, phone, title, invitationToken } = req.body;
+    let { companyName, companyType } = req.body;
+
+    // Invited users join the inviting organization instead of founding their own
+    let invitation = null;
+    if (invitationToken) {
+      invitation = await findPendingInvitation(invitationToken);
+      if (!invitation || invitation.email !== email) {
+        return res.status(400).json({ 
+          error: 'Invitation is invalid or has expired',
+          code: 'INVITATION_INVALID'
+        });
+      }
+      companyName = invitation.organization_name;
+      companyType = invitation.org_type;
+    }
+
+    // Check if user exists
+    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ 
+        error: 'An account with this email already exists',
+        code: 'EMAIL_EXISTS'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+    const role = invitation 
+      ? userRoleForOrgRole(companyType, invitation.role) 
+      : (companyType === 'retailer' ? 'retailer_admin' : 'brand_admin');
+
+    // The invitation link was delivered to this address, which proves ownership of it
+    const result = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title, email_verified) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
+    `, [email, hashedPassword, firstName, lastName, role, companyName, companyType, phone || null, title || null, !!invitation]);
+
+    const userId = result.rows[0].id;
+
+    if (invitation) {
+      await acceptInvitation(invitation, userId);
+    } else {
+      const organizationId = await createOrganization(companyName, companyType, userId);
+
+      // Create associated retailer or brand profile
+      if (companyType === 'retailer') {
+        await pool.query(`
+          INSERT INTO retailers (name, description, owner_id, organization_id) 
+          VALUES ($1, $2, $3, $4)
+        `, [companyName, `Retailer profile for ${companyName}`, userId, organizationId]);
+      } else {
+        // Brands start private; publishing requires a verified email
+        await pool.query(`
+          INSERT INTO brands (name, description, profile_completion_score, is_public, owner_id, organization_id) 
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [companyName, `Brand profile for ${companyName}`, 25, false, userId, organizationId]);
+      }
+    }
+
+    // Create notification preferences
+    await pool.query(`
+      INSERT INTO notification_preferences (user_id) VALUES ($1)
+    `, [userId]);
+
+    const { token, refreshToken, twoFactorSetupRequired } = await issueAuthTokens({
+      id: userId,
+      email,
+      role,
+      company_name: companyName,
+      company_type: companyType
+    }, req);
+
+    await logActivity(userId, 'USER_REGISTERED', 'user', userId, { email, role, invitationId: invitation?.id }, req);
+
+    if (!invitation) {
+      try {
+        await sendVerificationEmail({ id: userId, email, first_name: firstName });
+      } catch (mailError) {
+        logger.error('Verification email failed to send:', mailError);
+      }
+    }
+
+    logger.info('ROLLodx user registered successfully', { userId, email, companyType });
+
+    res.json({
+      token,
+      refreshToken,
+      twoFactorSetupRequired,
+      user: {
+        id: userId,
+        email,
+        firstName,
+        lastName,
+        role,
+        companyName,
+        companyType,
+        phone,
+        title,
+        emailVerified: !!invitation
+      }
+    });
+
+  } catch (error) {
+    logger.error('ROLLodx registration error:', error);
+    res.status(500).json({ 
+      error: 'Registration failed', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/refresh', [
+  body('refreshToken').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(req.body.refreshToken)]
+    );
+    const stored = result.rows[0];
+
+    if (!stored) {
+      return res.status(401).json({ 
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    if (stored.revoked_at && !stored.replaced_by) {
+      return res.status(401).json({ 
+        error: 'Refresh token has been revoked',
+        code: 'REFRESH_TOKEN_REVOKED'
+      });
+    }
+
+    // A rotated token being presented again means it was copied: kill the whole family
+    if (stored.revoked_at) {
+      await revokeSession(stored.family_id);
+      logger.warn('Refresh token reuse detected', { userId: stored.user_id, familyId: stored.family_id });
+      await logActivity(stored.user_id, 'REFRESH_TOKEN_REUSED', 'user', stored.user_id, { familyId: stored.family_id }, req);
+      return res.status(401).json({ 
+        error: 'Refresh token has been revoked',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return res.status(401).json({ 
+        error: 'Refresh token expired',
+        code: 'REFRESH_TOKEN_EXPIRED'
+      });
+    }
+
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1 AND is_active = true', [stored.user_id]);
+    const user = userResult.rows[0];
+
+    if (!user) {
+      await revokeSession(stored.family_id);
+      return res.status(401).json({ 
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    // Rotate: the presented token is retired and points at its replacement
+    const { refreshToken, id: replacementId } = await issueRefreshToken(user.id, stored.family_id, req);
+    const rotated = await pool.query(`
+      UPDATE refresh_tokens 
+      SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 
+      WHERE id = $2 AND revoked_at IS NULL
+    `, [replacementId, stored.id]);
+
+    // Lost a race with a concurrent refresh of the same token
+    if (rotated.rowCount === 0) {
+      await revokeSession(stored.family_id);
+      return res.status(401).json({ 
+        error: 'Refresh token has been revoked',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    res.json({
+      token: signAccessToken(user, stored.family_id, await accessTokenClaims(user)),
+      refreshToken
+    });
+
+  } catch (error) {
+    logger.error('ROLLodx token refresh error:', error);
+    res.status(500).json({ 
+      error: 'Token refresh failed', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Signs out one session. A live access token identifies it, and so does the session's refresh token
+// on its own, so a client whose access token has already expired can still end its refresh chain.
+app.post('/api/auth/logout', [
+  body('refreshToken').optional().isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token && !req.body.refreshToken) {
+      return res.status(401).json({ 
+        error: 'Access token or refresh token required',
+        code: 'TOKEN_MISSING'
+      });
+    }
+
+    // Session id → user id for every session the request identifies
+    const sessions = new Map();
+
+    if (token) {
+      const { user, status, error, code } = await verifyAccessToken(token);
+      if (user) {
+        sessions.set(user.jti, user.id);
+      } else if (!req.body.refreshToken) {
+        return res.status(status).json({ error, code });
+      }
+    }
+
+    if (req.body.refreshToken) {
+      const result = await pool.query(
+        'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1',
+        [hashToken(req.body.refreshToken)]
+      );
+      if (result.rows[0]) {
+        sessions.set(result.rows[0].family_id, result.rows[0].user_id);
+      } else if (sessions.size === 0) {
+        return res.status(401).json({ 
+          error: 'Invalid refresh token',
+          code: 'REFRESH_TOKEN_INVALID'
+        });
+      }
+    }
+
+    for (const [familyId, userId] of sessions) {
+      await revokeSession(familyId);
+      await logActivity(userId, 'LOGOUT', 'user', userId, null, req);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    logger.error('ROLLodx logout error:', error);
+    res.status(500).json({ 
+      error: 'Logout failed', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/verify-email', [
+  body('token').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const userId = await consumeUserToken(req.body.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ 
+        error: 'Verification link is invalid or has expired',
+        code: 'VERIFICATION_TOKEN_INVALID'
+      });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+
+    // Any other outstanding links are now pointless
+    await pool.query(`
+      UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP 
+      WHERE user_id = $1 AND purpose = 'email_verification' AND used_at IS NULL
+    `, [userId]);
+
+    await logActivity(userId, 'EMAIL_VERIFIED', 'user', userId, null, req);
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({ 
+      error: 'Email verification failed', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/verify-email/resend', authenticateToken, requirePermission('account:write'), async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, first_name, email_verified FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({ 
+        error: 'Email is already verified',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    // Throttle: one email per minute, five per hour
+    const recentResult = await pool.query(`
+      SELECT COUNT(*) as count, 
+             EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(created_at))) as seconds_since_last
+      FROM user_tokens 
+      WHERE user_id = $1 AND purpose = 'email_verification' 
+      AND created_at > NOW() - INTERVAL '1 hour'
+    `, [user.id]);
+    const recentCount = parseInt(recentResult.rows[0].count);
+    const secondsSinceLast = parseFloat(recentResult.rows[0].seconds_since_last);
+
+    if (recentCount >= EMAIL_VERIFICATION_MAX_PER_HOUR) {
+      return res.status(429).json({ 
+        error: 'Too many verification emails requested. Please try again later.',
+        code: 'TOO_MANY_REQUESTS',
+        retryAfter: 3600
+      });
+    }
+
+    if (recentCount > 0 && secondsSinceLast < EMAIL_VERIFICATION_RESEND_SECONDS) {
+      return res.status(429).json({ 
+        error: 'Please wait before requesting another verification email',
+        code: 'TOO_MANY_REQUESTS',
+        retryAfter: Math.ceil(EMAIL_VERIFICATION_RESEND_SECONDS - secondsSinceLast)
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    await logActivity(user.id, 'VERIFICATION_EMAIL_SENT', 'user', user.id, null, req);
+
+    res.json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    logger.error('Verification resend error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send verification email', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { email } = req.body;
+    const genericResponse = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    const result = await pool.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1 AND is_active = true',
+      [email]
+    );
+    const user = result.rows[0];
+
+    // Same response whether or not the account exists
+    if (!user) {
+      logger.info('Password reset requested for unknown email', { email });
+      return res.json(genericResponse);
+    }
+
+    // Quietly drop repeat requests made within a minute of the last one
+    const recentResult = await pool.query(`
+      SELECT id FROM user_tokens 
+      WHERE user_id = $1 AND purpose = 'password_reset' AND created_at > NOW() - INTERVAL '1 minute'
+    `, [user.id]);
+
+    if (recentResult.rows.length === 0) {
+      await sendPasswordResetEmail(user);
+      await logActivity(user.id, 'PASSWORD_RESET_REQUESTED', 'user', user.id, null, req);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to request password reset', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/reset-password', [
+  body('token').isString().isLength({ min: 1 }),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const userId = await consumeUserToken(req.body.token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ 
+        error: 'Reset link is invalid or has expired',
+        code: 'RESET_TOKEN_INVALID'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 12);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hashedPassword, userId]
+    );
+
+    await pool.query(`
+      UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP 
+      WHERE user_id = $1 AND purpose = 'password_reset' AND used_at IS NULL
+    `, [userId]);
+
+    const revokedSessions = await revokeUserSessions(userId);
+
+    await logActivity(userId, 'PASSWORD_RESET_COMPLETED', 'user', userId, { revokedSessions }, req);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset password', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// TWO-FACTOR ROUTES
+app.post('/api/auth/2fa/verify', [
+  body('twoFactorToken').isString().isLength({ min: 1 }),
+  body('code').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { twoFactorToken, code } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(twoFactorToken, JWT_SECRET);
+    } catch (err) {
+      payload = null;
+    }
+
+    if (!payload || payload.purpose !== 'two_factor_login') {
+      return res.status(401).json({ 
+        error: 'Two-factor session expired. Please log in again.',
+        code: 'TWO_FACTOR_TOKEN_INVALID'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM users WHERE id = $1 AND is_active = true AND two_factor_enabled = true',
+      [payload.id]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(401).json({ 
+        error: 'Two-factor session expired. Please log in again.',
+        code: 'TWO_FACTOR_TOKEN_INVALID'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const throttle = await getLoginThrottle(user.email, req.ip);
+    if (throttle.lockSeconds > 0) {
+      return res.status(429).json({ 
+        error: 'Too many failed login attempts. Please try again later.',
+        code: 'LOGIN_LOCKED',
+        retryAfter: throttle.lockSeconds
+      });
+    }
+
+    const validCode = await verifyTwoFactorCode(user, code);
+    if (!validCode) {
+      const locked = await recordLoginFailure(user.email, req.ip);
+      await logActivity(user.id, 'LOGIN_FAILED', 'user', user.id, { reason: 'invalid_2fa_code' }, req);
+      if (locked) {
+        await logActivity(user.id, 'ACCOUNT_LOCKED', 'user', user.id, { lockoutMinutes: LOGIN_LOCKOUT_MINUTES }, req);
+      }
+      return res.status(401).json({ 
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    // Burn the challenge only once the code checks out, so a typo doesn't force a new login
+    const challengeUserId = await consumeUserToken(twoFactorToken, 'two_factor_login');
+    if (challengeUserId !== user.id) {
+      return res.status(401).json({ 
+        error: 'Two-factor session expired. Please log in again.',
+        code: 'TWO_FACTOR_TOKEN_INVALID'
+      });
+    }
+
+    await completeLogin(user, req, res, { twoFactor: true });
+
+  } catch (error) {
+    logger.error('ROLLodx 2FA verify error:', error);
+    res.status(500).json({ 
+      error: 'Two-factor verification failed', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Starts enrollment: stores a pending secret and returns its provisioning URI and QR code
+app.post('/api/auth/2fa/setup', authenticateToken, requirePermission('account:write'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT email, two_factor_enabled FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = authenticator.generateSecret();
+    await pool.query(
+      'UPDATE users SET two_factor_secret = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    const otpauthUrl = authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor setup', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/2fa/enable', authenticateToken, requirePermission('account:write'), [
+  body('code').isString().matches(/^\d{6}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user || !user.two_factor_secret) {
+      return res.status(400).json({ 
+        error: 'Start two-factor setup first',
+        code: 'TWO_FACTOR_NOT_STARTED'
+      });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!authenticator.verify({ token: req.body.code, secret: user.two_factor_secret })) {
+      return res.status(400).json({ 
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await pool.query(
+      'UPDATE users SET two_factor_enabled = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [user.id]
+    );
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    await logActivity(user.id, 'TWO_FACTOR_ENABLED', 'user', user.id, null, req);
+
+    // Replace a setup-only access token with a full one for the same session
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      token: signAccessToken({ ...user, two_factor_enabled: true }, req.user.jti)
+    });
+
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to enable two-factor authentication', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, requirePermission('account:write'), [
+  body('password').isLength({ min: 1 }),
+  body('code').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1 AND two_factor_enabled = true', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ 
+        error: 'Your company requires two-factor authentication',
+        code: 'TWO_FACTOR_REQUIRED_BY_COMPANY'
+      });
+    }
+
+    const validPassword = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!validPassword || !(await verifyTwoFactorCode(user, req.body.code))) {
+      return res.status(400).json({ 
+        error: 'Invalid password or authentication code',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    await pool.query(`
+      UPDATE users SET two_factor_enabled = false, two_factor_secret = NULL, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1
+    `, [user.id]);
+    await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [user.id]);
+
+    await logActivity(user.id, 'TWO_FACTOR_DISABLED', 'user', user.id, null, req);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to disable two-factor authentication', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, requirePermission('account:write'), [
+  body('code').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1 AND two_factor_enabled = true', [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!(await verifyTwoFactorCode(user, req.body.code))) {
+      return res.status(400).json({ 
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    await logActivity(user.id, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', 'user', user.id, null, req);
+
+    res.json({ recoveryCodes });
+
+  } catch (error) {
+    logger.error('2FA recovery codes error:', error);
+    res.status(500).json({ 
+      error: 'Failed to regenerate recovery codes', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// SESSION ROUTES
+app.get('/api/auth/sessions', authenticateToken, requirePermission('account:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, jti, ip_address, user_agent, impersonated_by, last_seen_at, created_at 
+      FROM user_sessions 
+      WHERE user_id = $1 AND revoked_at IS NULL 
+      AND last_seen_at > NOW() - make_interval(days => $2)
+      ORDER BY last_seen_at DESC
+    `, [req.user.id, REFRESH_TOKEN_TTL_DAYS]);
+
+    res.json({
+      sessions: result.rows.map(session => ({
+        id: session.id,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        lastSeenAt: session.last_seen_at,
+        createdAt: session.created_at,
+        impersonated: !!session.impersonated_by,
+        current: session.jti === req.user.jti
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Sessions fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch sessions', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Sign out everywhere else: revokes all of the user's sessions except the current one
+app.delete('/api/auth/sessions', authenticateToken, requirePermission('account:write'), async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user.id, req.user.jti);
+
+    await logActivity(req.user.id, 'SESSIONS_REVOKED', 'user', req.user.id, { revokedCount }, req);
+
+    res.json({ 
+      message: `${revokedCount} other session(s) signed out`,
+      revokedCount
+    });
+
+  } catch (error) {
+    logger.error('Sessions revoke error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke sessions', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authenticateToken, requirePermission('account:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sessionResult = await pool.query(
+      'SELECT jti FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(sessionResult.rows[0].jti);
+
+    await logActivity(req.user.id, 'SESSION_REVOKED', 'user_session', parseInt(id), null, req);
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    logger.error('Session revoke error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// USER ROUTES
+app.get('/api/users/profile', authenticateToken, requirePermission('account:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, email, first_name, last_name, role, company_name, company_type, 
+             phone, title, is_active, email_verified, last_login, created_at, updated_at 
+      FROM users WHERE id = $1
+    `, [req.user.id]);
+    
+    const user = result.rows[0];
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role,
+        companyName: user.company_name,
+        companyType: user.company_type,
+        phone: user.phone,
+        title: user.title,
+        isActive: user.is_active,
+        emailVerified: user.email_verified,
+        lastLogin: user.last_login,
+        createdAt: user.created_at,
+        updatedAt: user.updated_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Profile fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch profile', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/users/profile', authenticateToken, requirePermission('account:write'), [
+  body('firstName').optional().isLength({ min: 1 }).trim(),
+  body('lastName').optional().isLength({ min: 1 }).trim(),
+  body('phone').optional().trim(),
+  body('title').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { firstName, lastName, phone, title } = req.body;
+    
+    const result = await pool.query(`
+      UPDATE users 
+      SET first_name = COALESCE($1, first_name),
+          last_name = COALESCE($2, last_name),
+          phone = COALESCE($3, phone),
+          title = COALESCE($4, title),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 
+      RETURNING id, email, first_name, last_name, role, company_name, company_type, phone, title
+    `, [firstName, lastName, phone, title, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    await logActivity(req.user.id, 'PROFILE_UPDATED', 'user', req.user.id, { 
+      updatedFields: { firstName, lastName, phone, title } 
+    }, req);
+
+    const user = result.rows[0];
+    res.json({
+      message: 'Profile updated successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role,
+        companyName: user.company_name,
+        companyType: user.company_type,
+        phone: user.phone,
+        title: user.title
+      }
+    });
+
+  } catch (error) {
+    logger.error('Profile update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update profile', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/users/password', authenticateToken, requirePermission('account:write'), [
+  body('currentPassword').isLength({ min: 1 }),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const validPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+    if (!validPassword) {
+      await logActivity(req.user.id, 'PASSWORD_RESET_FAILED', 'user', req.user.id, { reason: 'invalid_current_password' }, req);
+      return res.status(400).json({ 
+        error: 'Current password is incorrect',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hashedPassword, req.user.id]
+    );
+
+    // Keep the session that made the change, sign out everywhere else
+    const revokedSessions = await revokeUserSessions(req.user.id, req.user.jti);
+
+    await logActivity(req.user.id, 'PASSWORD_RESET_CHANGED', 'user', req.user.id, { revokedSessions }, req);
+
+    res.json({ message: 'Password changed successfully', revokedSessions });
+
+  } catch (error) {
+    logger.error('Password change error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change password', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// ORGANIZATION ROUTES
+app.get('/api/organizations', authenticateToken, requirePermission('account:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT o.id, o.name, o.org_type, o.require_two_factor, o.created_at, m.role,
+             (SELECT COUNT(*) FROM organization_members WHERE organization_id = o.id) as member_count
+      FROM organizations o 
+      JOIN organization_members m ON m.organization_id = o.id 
+      WHERE m.user_id = $1 
+      ORDER BY o.name
+    `, [req.user.id]);
+
+    res.json({ organizations: result.rows });
+
+  } catch (error) {
+    logger.error('Organizations fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch organizations', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/organizations/:id', authenticateToken, requirePermission('org:read', resolveOrganization), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const orgResult = await pool.query('SELECT * FROM organizations WHERE id = $1', [id]);
+
+    const membersResult = await pool.query(`
+      SELECT m.user_id, m.role, m.created_at as joined_at, 
+             u.email, u.first_name, u.last_name, u.title, u.last_login, u.two_factor_enabled
+      FROM organization_members m 
+      JOIN users u ON m.user_id = u.id 
+      WHERE m.organization_id = $1 
+      ORDER BY m.created_at
+    `, [id]);
+
+    res.json({
+      organization: { ...orgResult.rows[0], role: req.orgRole },
+      members: membersResult.rows
+    });
+
+  } catch (error) {
+    logger.error('Organization fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch organization', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/organizations/:id', authenticateToken, requirePermission('org:manage', resolveOrganization), [
+  body('name').optional().isLength({ min: 1 }).trim(),
+  body('requireTwoFactor').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { name, requireTwoFactor } = req.body;
+
+    // An admin can't impose 2FA on the organization without using it themselves
+    if (requireTwoFactor === true) {
+      const adminResult = await pool.query('SELECT two_factor_enabled FROM users WHERE id = $1', [req.user.id]);
+      if (!adminResult.rows[0]?.two_factor_enabled) {
+        return res.status(400).json({ 
+          error: 'Enable two-factor authentication on your own account first',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE organizations 
+      SET name = COALESCE($1, name),
+          require_two_factor = COALESCE($2, require_two_factor),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3 
+      RETURNING *
+    `, [name, requireTwoFactor, id]);
+
+    await logActivity(req.user.id, 'ORGANIZATION_UPDATED', 'organization', parseInt(id), { 
+      updatedFields: { name, requireTwoFactor } 
+    }, req);
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Organization update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update organization', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/organizations/:id/members/:userId', authenticateToken, requirePermission('org:members:manage', resolveOrganization), [
+  body('role').isIn(ORG_ROLES)
+], async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const targetRole = await getOrgRole(userId, id);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const { role } = req.body;
+
+    // Admins manage members and admins; only owners can create or demote owners
+    const touchesOwner = role === 'owner' || targetRole === 'owner';
+    if (touchesOwner && !hasPermission(req.orgRole, 'org:owners:manage')) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to do that',
+        code: 'PERMISSION_DENIED',
+        permission: 'org:owners:manage'
+      });
+    }
+
+    if (targetRole === 'owner' && role !== 'owner') {
+      const ownersResult = await pool.query(
+        'SELECT COUNT(*) FROM organization_members WHERE organization_id = $1 AND role = $2',
+        [id, 'owner']
+      );
+      if (parseInt(ownersResult.rows[0].count) <= 1) {
+        return res.status(400).json({ 
+          error: 'An organization must keep at least one owner',
+          code: 'LAST_OWNER'
+        });
+      }
+    }
+
+    await pool.query(`
+      UPDATE organization_members SET role = $1, updated_at = CURRENT_TIMESTAMP 
+      WHERE organization_id = $2 AND user_id = $3
+    `, [role, id, userId]);
+
+    await logActivity(req.user.id, 'ORGANIZATION_MEMBER_UPDATED', 'organization', parseInt(id), { 
+      userId: parseInt(userId), 
+      previousRole: targetRole, 
+      role 
+    }, req);
+
+    res.json({ message: 'Member role updated successfully' });
+
+  } catch (error) {
+    logger.error('Organization member update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update member', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Removes a member; any member may remove themselves (leave)
+app.delete('/api/organizations/:id/members/:userId', authenticateToken, requirePermission('org:read', resolveOrganization), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const targetRole = await getOrgRole(userId, id);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const isSelf = parseInt(userId) === req.user.id;
+    const permission = targetRole === 'owner' ? 'org:owners:manage' : 'org:members:manage';
+    if (!isSelf && !hasPermission(req.orgRole, permission)) {
+      return res.status(403).json({ 
+        error: 'You do not have permission to do that',
+        code: 'PERMISSION_DENIED',
+        permission
+      });
+    }
+
+    if (targetRole === 'owner') {
+      const ownersResult = await pool.query(
+        'SELECT COUNT(*) FROM organization_members WHERE organization_id = $1 AND role = $2',
+        [id, 'owner']
+      );
+      if (parseInt(ownersResult.rows[0].count) <= 1) {
+        return res.status(400).json({ 
+          error: 'An organization must keep at least one owner',
+          code: 'LAST_OWNER'
+        });
+      }
+    }
+
+    await pool.query(
+      'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    await logActivity(req.user.id, 'ORGANIZATION_MEMBER_REMOVED', 'organization', parseInt(id), { 
+      userId: parseInt(userId), 
+      role: targetRole 
+    }, req);
+
+    res.json({ message: 'Member removed successfully' });
+
+  } catch (error) {
+    logger.error('Organization member removal error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove member', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Organization owners and admins can lift a login lockout for a fellow member
+app.post('/api/organizations/:id/members/:userId/unlock', authenticateToken, requirePermission('org:members:manage', resolveOrganization), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const result = await pool.query(`
+      SELECT u.email FROM users u 
+      JOIN organization_members m ON m.user_id = u.id 
+      WHERE m.organization_id = $1 AND u.id = $2
+    `, [id, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await clearAccountThrottle(result.rows[0].email);
+
+    await logActivity(req.user.id, 'ACCOUNT_UNLOCKED', 'user', parseInt(userId), { organizationId: parseInt(id) }, req);
+
+    res.json({ message: 'Account unlocked successfully' });
+
+  } catch (error) {
+    logger.error('Account unlock error:', error);
+    res.status(500).json({ 
+      error: 'Failed to unlock account', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// INVITATION ROUTES
+app.post('/api/organizations/:id/invitations', authenticateToken, requirePermission('org:members:manage', resolveOrganization), [
+  body('email').isEmail().normalizeEmail(),
+  body('role').optional().isIn(['admin', 'member', 'viewer'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { email, role = 'member' } = req.body;
+
+    const memberResult = await pool.query(`
+      SELECT 1 FROM organization_members m JOIN users u ON m.user_id = u.id 
+      WHERE m.organization_id = $1 AND u.email = $2
+    `, [id, email]);
+    if (memberResult.rows.length > 0) {
+      return res.status(400).json({ 
+        error: 'This person is already a member',
+        code: 'ALREADY_MEMBER'
+      });
+    }
+
+    // A fresh invitation supersedes any still-pending one for the same address
+    await pool.query(`
+      UPDATE organization_invitations SET status = 'revoked', responded_at = CURRENT_TIMESTAMP 
+      WHERE organization_id = $1 AND email = $2 AND status = 'pending'
+    `, [id, email]);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(`
+      INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at) 
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6)) 
+      RETURNING id, email, role, status, expires_at, created_at
+    `, [id, email, role, hashToken(token), req.user.id, INVITATION_TTL_DAYS]);
+
+    const orgResult = await pool.query('SELECT name FROM organizations WHERE id = $1', [id]);
+    const organizationName = orgResult.rows[0].name;
+    const inviteUrl = `${FRONTEND_URL}/invitations?token=${token}`;
+
+    await mailer.send('organization_invitation', email, {
+      inviterEmail: req.user.email,
+      organizationName,
+      role,
+      inviteUrl,
+      expiresInDays: INVITATION_TTL_DAYS
+    });
+
+    await logActivity(req.user.id, 'ORGANIZATION_INVITATION_SENT', 'organization', parseInt(id), { email, role }, req);
+
+    res.json({
+      message: 'Invitation sent successfully',
+      invitation: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Invitation create error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send invitation', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/organizations/:id/invitations', authenticateToken, requirePermission('org:members:manage', resolveOrganization), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT i.id, i.email, i.role, i.status, i.expires_at, i.responded_at, i.created_at,
+             u.first_name as invited_by_first_name, u.last_name as invited_by_last_name
+      FROM organization_invitations i 
+      LEFT JOIN users u ON i.invited_by = u.id 
+      WHERE i.organization_id = $1 
+      ORDER BY i.created_at DESC
+    `, [id]);
+
+    res.json({ invitations: result.rows });
+
+  } catch (error) {
+    logger.error('Invitations fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch invitations', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/organizations/:id/invitations/:invitationId', authenticateToken, requirePermission('org:members:manage', resolveOrganization), async (req, res) => {
+  try {
+    const { id, invitationId } = req.params;
+
+    const result = await pool.query(`
+      UPDATE organization_invitations SET status = 'revoked', responded_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND organization_id = $2 AND status = 'pending' 
+      RETURNING email
+    `, [invitationId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await logActivity(req.user.id, 'ORGANIZATION_INVITATION_REVOKED', 'organization', parseInt(id), { 
+      email: result.rows[0].email 
+    }, req);
+
+    res.json({ message: 'Invitation revoked successfully' });
+
+  } catch (error) {
+    logger.error('Invitation revoke error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke invitation', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Existing accounts accept with the emailed token while signed in as the invited address
+app.post('/api/invitations/accept', authenticateToken, requirePermission('account:write'), [
+  body('token').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const invitation = await findPendingInvitation(req.body.token);
+    if (!invitation || invitation.email !== req.user.email) {
+      return res.status(400).json({ 
+        error: 'Invitation is invalid or has expired',
+        code: 'INVITATION_INVALID'
+      });
+    }
+
+    if (invitation.org_type !== req.user.companyType) {
+      return res.status(400).json({ 
+        error: `This invitation is for a ${invitation.org_type} organization`,
+        code: 'ORGANIZATION_TYPE_MISMATCH'
+      });
+    }
+
+    await acceptInvitation(invitation, req.user.id);
+
+    await logActivity(req.user.id, 'ORGANIZATION_INVITATION_ACCEPTED', 'organization', invitation.organization_id, { 
+      role: invitation.role 
+    }, req);
+
+    res.json({
+      message: `You have joined ${invitation.organization_name}`,
+      organization: {
+        id: invitation.organization_id,
+        name: invitation.organization_name,
+        orgType: invitation.org_type,
+        role: invitation.role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Invitation accept error:', error);
+    res.status(500).json({ 
+      error: 'Failed to accept invitation', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Declining needs only the token, so people without an account can say no
+app.post('/api/invitations/decline', [
+  body('token').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const invitation = await findPendingInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({ 
+        error: 'Invitation is invalid or has expired',
+        code: 'INVITATION_INVALID'
+      });
+    }
+
+    await pool.query(`
+      UPDATE organization_invitations SET status = 'declined', responded_at = CURRENT_TIMESTAMP 
+      WHERE id = $1
+    `, [invitation.id]);
+
+    await logActivity(null, 'ORGANIZATION_INVITATION_DECLINED', 'organization', invitation.organization_id, { 
+      email: invitation.email 
+    }, req);
+
+    res.json({ message: 'Invitation declined' });
+
+  } catch (error) {
+    logger.error('Invitation decline error:', error);
+    res.status(500).json({ 
+      error: 'Failed to decline invitation', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// WEBHOOK ROUTES (organization admins manage their integrations' subscriptions)
+const WEBHOOK_COLUMNS = 'id, organization_id, url, description, event_types, is_active, created_by, created_at, updated_at';
+
+const webhookValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('url').isURL({
+      protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+      require_protocol: true,
+      require_tld: process.env.NODE_ENV === 'production'
+    }).isLength({ max: 2000 }).bail()
+      // Deliveries check every connection too; this catches the mistake when the URL is saved
+      .custom(async url => {
+        const problem = await outboundHttp.outboundUrlProblem(url, { allowPrivateAddresses: ALLOW_PRIVATE_OUTBOUND });
+        if (problem) {
+          throw new Error(problem);
+        }
+        return true;
+      }),
+    field('eventTypes').isArray({ min: 1 }),
+    body('eventTypes.*').isIn([...WEBHOOK_EVENT_TYPES, '*']),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+async function findWebhook(organizationId, webhookId) {
+  const result = await pool.query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhook_subscriptions WHERE id = $1 AND organization_id = $2`,
+    [webhookId, organizationId]
+  );
+  return result.rows[0] || null;
+}
+
+app.get('/api/organizations/:id/webhooks', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${WEBHOOK_COLUMNS}, 
+             (SELECT d.status FROM webhook_deliveries d WHERE d.subscription_id = webhook_subscriptions.id ORDER BY d.id DESC LIMIT 1) as last_delivery_status 
+      FROM webhook_subscriptions 
+      WHERE organization_id = $1 
+      ORDER BY created_at
+    `, [req.params.id]);
+
+    res.json({
+      webhooks: result.rows,
+      eventTypes: WEBHOOK_EVENT_TYPES
+    });
+
+  } catch (error) {
+    logger.error('Webhooks fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch webhooks', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// The signing secret is returned here and by rotate-secret only
+app.post('/api/organizations/:id/webhooks', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), webhookValidators(false), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { url, eventTypes, description, isActive = true } = req.body;
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(`
+      INSERT INTO webhook_subscriptions (organization_id, url, description, event_types, secret, is_active, created_by) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7) 
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [id, url, description || null, [...new Set(eventTypes)], secret, isActive, req.user.id]);
+
+    await logActivity(req.user.id, 'WEBHOOK_CREATED', 'organization', parseInt(id), {
+      webhookId: result.rows[0].id,
+      url,
+      eventTypes
+    }, req);
+
+    res.json({
+      message: 'Webhook created successfully',
+      webhook: { ...result.rows[0], secret }
+    });
+
+  } catch (error) {
+    logger.error('Webhook create error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create webhook', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/organizations/:id/webhooks/:webhookId', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), webhookValidators(true), async (req, res) => {
+  try {
+    const { id, webhookId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { url, eventTypes, description, isActive } = req.body;
+
+    const result = await pool.query(`
+      UPDATE webhook_subscriptions 
+      SET url = COALESCE($1, url),
+          event_types = COALESCE($2, event_types),
+          description = CASE WHEN $3 THEN $4 ELSE description END,
+          is_active = COALESCE($5, is_active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND organization_id = $7 
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [url, eventTypes ? [...new Set(eventTypes)] : null, description !== undefined, description || null, isActive, webhookId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await logActivity(req.user.id, 'WEBHOOK_UPDATED', 'organization', parseInt(id), {
+      webhookId: parseInt(webhookId),
+      updatedFields: { url, eventTypes, description, isActive }
+    }, req);
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Webhook update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update webhook', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/organizations/:id/webhooks/:webhookId', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), async (req, res) => {
+  try {
+    const { id, webhookId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM webhook_subscriptions WHERE id = $1 AND organization_id = $2 RETURNING url',
+      [webhookId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await logActivity(req.user.id, 'WEBHOOK_DELETED', 'organization', parseInt(id), {
+      webhookId: parseInt(webhookId),
+      url: result.rows[0].url
+    }, req);
+
+    res.json({ message: 'Webhook deleted successfully' });
+
+  } catch (error) {
+    logger.error('Webhook delete error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete webhook', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Deliveries already queued are signed with the new secret when they're next attempted
+app.post('/api/organizations/:id/webhooks/:webhookId/rotate-secret', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), async (req, res) => {
+  try {
+    const { id, webhookId } = req.params;
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(`
+      UPDATE webhook_subscriptions SET secret = $1, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $2 AND organization_id = $3 
+      RETURNING ${WEBHOOK_COLUMNS}
+    `, [secret, webhookId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await logActivity(req.user.id, 'WEBHOOK_SECRET_ROTATED', 'organization', parseInt(id), {
+      webhookId: parseInt(webhookId)
+    }, req);
+
+    res.json({
+      message: 'Webhook secret rotated',
+      webhook: { ...result.rows[0], secret }
+    });
+
+  } catch (error) {
+    logger.error('Webhook secret rotation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to rotate webhook secret', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Delivery log, newest first
+app.get('/api/organizations/:id/webhooks/:webhookId/deliveries', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { id, webhookId } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const webhook = await findWebhook(id, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    let where = 'WHERE subscription_id = $1';
+    const params = [webhook.id];
+
+    if (status) {
+      params.push(status);
+      where += ` AND status = $${params.length}`;
+    }
+
+    // Only a successful response's body is shown; error pages could be anything the URL reached
+    const result = await pool.query(`
+      SELECT id, event_id, event_type, payload, status, attempts, next_attempt_at, response_status, 
+             CASE WHEN response_status BETWEEN 200 AND 299 THEN response_body END as response_body, 
+             error, duration_ms, created_at, delivered_at 
+      FROM webhook_deliveries 
+      ${where} 
+      ORDER BY id DESC 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM webhook_deliveries ${where}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      deliveries: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Webhook deliveries fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch webhook deliveries', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Sends a webhook.test event straight away and reports how the endpoint responded
+app.post('/api/organizations/:id/webhooks/:webhookId/test', authenticateToken, requirePermission('org:webhooks:manage', resolveOrganization), async (req, res) => {
+  try {
+    const { id, webhookId } = req.params;
+
+    const webhook = await findWebhook(id, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!webhook.is_active) {
+      return res.status(400).json({ 
+        error: 'Turn the webhook on before sending a test event',
+        code: 'WEBHOOK_INACTIVE'
+      });
+    }
+
+    const delivery = await webhooks.sendTest(webhook, {
+      message: 'This is a test event from ROLLodx',
+      webhookId: webhook.id,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event delivery failed',
+      delivery: {
+        id: delivery.id,
+        event_id: delivery.event_id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        response_status: delivery.response_status,
+        response_body: delivery.response_body,
+        error: delivery.error,
+        duration_ms: delivery.duration_ms,
+        next_attempt_at: delivery.next_attempt_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Webhook test error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send test event', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// BRAND ROUTES
+app.get('/api/brands', authenticateToken, requirePermission('brands:browse'), async (req, res) => {
+  try {
+    const { search, industry, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT b.*, u.company_name as owner_company, u.first_name, u.last_name,
+             COUNT(DISTINCT p.id) as product_count,
+             COUNT(DISTINCT r.id) as relationship_count
+      FROM brands b
+      LEFT JOIN users u ON b.owner_id = u.id
+      LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
+      LEFT JOIN brand_retailer_relationships r ON b.id = r.brand_id
+      WHERE b.is_public = true
+    `;
+    
+    const params = [];
+    let paramCount = 0;
+
+    if (search) {
+      paramCount++;
+      query += ` AND (b.name ILIKE $${paramCount} OR b.description ILIKE $${paramCount})`;
+      params.push(`%${search}%`);
+    }
+
+    if (industry) {
+      paramCount++;
+      query += ` AND b.industry = $${paramCount}`;
+      params.push(industry);
+    }
+
+    query += ` 
+      GROUP BY b.id, u.company_name, u.first_name, u.last_name
+      ORDER BY b.profile_completion_score DESC, b.created_at DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    
+    params.push(limit, offset);
+
+    const result = await pool.query(query, params);
+
+    // Get total count for pagination
+    let countQuery = 'SELECT COUNT(*) FROM brands b WHERE b.is_public = true';
+    const countParams = [];
+    let countParamCount = 0;
+
+    if (search) {
+      countParamCount++;
+      countQuery += ` AND (b.name ILIKE $${countParamCount} OR b.description ILIKE $${countParamCount})`;
+      countParams.push(`%${search}%`);
+    }
+
+    if (industry) {
+      countParamCount++;
+      countQuery += ` AND b.industry = $${countParamCount}`;
+      countParams.push(industry);
+    }
+
+    const countResult = await pool.query(countQuery, countParams);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    // Log search activity
+    await logActivity(req.user.id, 'BRANDS_SEARCHED', 'brand', null, { search, industry, resultCount: result.rows.length }, req);
+
+    res.json({
+      brands: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: (page * limit) < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Brands fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch brands', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/brands/:id', authenticateToken, requirePermission('brands:browse', resolveBrand), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT b.*, u.company_name as owner_company, u.first_name, u.last_name, u.email as owner_email,
+             COUNT(DISTINCT p.id) as product_count,
+             COUNT(DISTINCT r.id) as relationship_count,
+             COUNT(DISTINCT a.id) as asset_count
+      FROM brands b
+      LEFT JOIN users u ON b.owner_id = u.id
+      LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
+      LEFT JOIN brand_retailer_relationships r ON b.id = r.brand_id
+      LEFT JOIN brand_assets a ON b.id = a.brand_id
+      WHERE b.id = $1 AND (b.is_public = true OR $2)
+      GROUP BY b.id, u.company_name, u.first_name, u.last_name, u.email
+    `, [id, hasPermission(req.orgRole, 'brand:read')]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Brand not found or access denied',
+        code: 'BRAND_NOT_FOUND'
+      });
+    }
+
+    // Get products, limited to the viewer's price list if they have one
+    const priceList = await resolveViewerPriceList(req);
+    const productsResult = await pool.query(`
+      SELECT * FROM brand_products 
+      WHERE brand_id = $1 AND is_active = true 
+      AND ($2::INTEGER IS NULL OR id IN ${listedProductsSql('$2')}) 
+      ORDER BY created_at DESC LIMIT 10
+    `, [id, priceList ? priceList.id : null]);
+
+    // Get assets (if user has access)
+    const assetsResult = await pool.query(`
+      SELECT id, filename, original_name, file_type, file_size, description, category, 
+             permission_level, download_count, is_featured, created_at
+      FROM brand_assets 
+      WHERE brand_id = $1 
+      AND (permission_level = 'public' OR $2)
+      ORDER BY is_featured DESC, created_at DESC LIMIT 10
+    `, [id, hasPermission(req.orgRole, 'brand:assets:read')]);
+
+    await logActivity(req.user.id, 'BRAND_VIEWED', 'brand', parseInt(id), null, req);
+
+    res.json({
+      brand: result.rows[0],
+      products: applyPriceList(await attachVariants(productsResult.rows), priceList),
+      priceList: priceListSummary(priceList),
+      assets: assetsResult.rows
+    });
+
+  } catch (error) {
+    logger.error('Brand fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch brand', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/brands/:id', authenticateToken, requirePermission('brand:write', resolveBrand), [
+  body('name').optional().isLength({ min: 1 }).trim(),
+  body('description').optional().trim(),
+  body('industry').optional().trim(),
+  body('website').optional().isURL(),
+  body('email').optional().isEmail(),
+  body('phone').optional().trim(),
+  body('is_public').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { name, description, industry, website, email, phone, address, city, state, country, postal_code, is_public } = req.body;
+
+    if (is_public === true) {
+      const verifiedResult = await pool.query('SELECT email_verified FROM users WHERE id = $1', [req.user.id]);
+      if (!verifiedResult.rows[0]?.email_verified) {
+        return res.status(403).json({ 
+          error: 'Please verify your email address before making your brand public',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+    }
+    
+    // Calculate completion score
+    const fields = [name, description, industry, website, email, phone, address, city, state];
+    const completedFields = fields.filter(field => field && field.trim().length > 0).length;
+    const completion_score = Math.round((completedFields / fields.length) * 100);
+
+    const result = await pool.query(`
+      UPDATE brands 
+      SET name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          industry = COALESCE($3, industry),
+          website = COALESCE($4, website),
+          email = COALESCE($5, email),
+          phone = COALESCE($6, phone),
+          address = COALESCE($7, address),
+          city = COALESCE($8, city),
+          state = COALESCE($9, state),
+          country = COALESCE($10, country),
+          postal_code = COALESCE($11, postal_code),
+          is_public = COALESCE($12, is_public),
+          profile_completion_score = $13,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $14 
+      RETURNING *
+    `, [name, description, industry, website, email, phone, address, city, state, country, postal_code, is_public, completion_score, id]);
+
+    await logActivity(req.user.id, 'BRAND_UPDATED', 'brand', parseInt(id), { 
+      updatedFields: { name, description, industry, website, email, phone, is_public } 
+    }, req);
+
+    res.json({
+      message: 'Brand updated successfully',
+      brand: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Brand update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update brand', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Get my brands (for brand owners)
+app.get('/api/brands/my/brands', authenticateToken, requirePermission('brands:browse'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT b.*, 
+             COUNT(DISTINCT p.id) as product_count,
+             COUNT(DISTINCT r.id) as relationship_count,
+             COUNT(DISTINCT a.id) as asset_count
+      FROM brands b
+      LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
+      LEFT JOIN brand_retailer_relationships r ON b.id = r.brand_id
+      LEFT JOIN brand_assets a ON b.id = a.brand_id
+      WHERE b.organization_id IN ${memberOrgsSql('$1')}
+      GROUP BY b.id
+      ORDER BY b.created_at DESC
+    `, [req.user.id]);
+
+    res.json({ brands: result.rows });
+
+  } catch (error) {
+    logger.error('My brands fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch brands', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// PRODUCT ROUTES
+// Catalog ids in the path are checked before a resolver or loader hands them to pg
+app.param(['brandId', 'productId', 'variantId'], async (req, res, next, value, name) => {
+  await param(name).isInt({ min: 1 }).run(req);
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      error: 'Validation failed', 
+      details: errors.array() 
+    });
+  }
+  next();
+});
+
+const productValidators = [
+  body('name').optional().isLength({ min: 1, max: 255 }).trim(),
+  body('description').optional().trim(),
+  body('category').optional().isLength({ max: 100 }).trim(),
+  body('sku').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('price').optional({ nullable: true }).isFloat({ min: 0, max: 99999999.99 }).toFloat(),
+  body('image_url').optional({ nullable: true, checkFalsy: true }).isURL(),
+  body('metadata').optional().isObject(),
+  body('is_active').optional().isBoolean().toBoolean()
+];
+
+// SKUs are unique among a brand's active products
+async function findSkuConflict(brandId, sku, excludeProductId = null) {
+  if (!sku) {
+    return null;
+  }
+  const result = await pool.query(`
+    SELECT id FROM brand_products 
+    WHERE brand_id = $1 AND sku = $2 AND is_active = true AND ($3::INTEGER IS NULL OR id <> $3)
+  `, [brandId, sku, excludeProductId]);
+  return result.rows[0] || null;
+}
+
+// GTIN-8/12/13/14 (UPC and EAN included) with a valid GS1 mod-10 check digit
+function isValidGtin(value) {
+  const digits = String(value);
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) {
+    return false;
+  }
+
+  // Weights alternate 3,1,3,... from the digit left of the check digit
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+}
+
+const variantValidators = [
+  body('name').optional().isLength({ min: 1, max: 255 }).trim(),
+  body('sku').optional({ nullable: true }).isLength({ max: 100 }).trim(),
+  body('unit_size').optional({ nullable: true }).isLength({ max: 50 }).trim(),
+  body('case_pack').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('gtin').optional({ nullable: true, checkFalsy: true })
+    .customSanitizer(value => String(value).replace(/[\s-]/g, ''))
+    .custom(value => {
+      if (!isValidGtin(value)) {
+        throw new Error('GTIN must be 8, 12, 13 or 14 digits with a valid check digit');
+      }
+      return true;
+    }),
+  body('msrp').optional({ nullable: true }).isFloat({ min: 0, max: 99999999.99 }).toFloat(),
+  body('wholesale_cost').optional({ nullable: true }).isFloat({ min: 0, max: 99999999.99 }).toFloat(),
+  body('is_active').optional().isBoolean().toBoolean()
+];
+
+// Loads :productId for the brand resolved into req.brand
+const loadProduct = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM brand_products WHERE id = $1 AND brand_id = $2',
+      [req.params.productId, req.brand.id]
+    );
+
+    const product = result.rows[0];
+    if (!canViewBrand(req) || !product || (!product.is_active && !hasPermission(req.orgRole, 'brand:read'))) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Retailers on a price list only see the products it includes
+    req.priceList = await resolveViewerPriceList(req);
+    if (req.priceList && !req.priceList.items.some(item => item.product_id === product.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    req.product = product;
+    next();
+  } catch (error) {
+    logger.error('Product lookup failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to load product', 
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// A GTIN identifies one trade item, so it can't appear on two active variants of the same brand. The
+// rule spans brand_products and product_variants, which no unique index can, so writers take the
+// brand's GTIN lock first and check inside the same transaction; concurrent writes then queue up.
+async function findGtinConflict(client, brandId, gtin, excludeVariantId = null) {
+  if (!gtin) {
+    return null;
+  }
+  await client.query(`SELECT pg_advisory_xact_lock(hashtext('product_variants.gtin'), $1)`, [brandId]);
+  const result = await client.query(`
+    SELECT v.id, p.name as product_name FROM product_variants v 
+    JOIN brand_products p ON v.product_id = p.id 
+    WHERE p.brand_id = $1 AND v.gtin = $2 AND v.is_active = true AND ($3::INTEGER IS NULL OR v.id <> $3)
+  `, [brandId, gtin, excludeVariantId]);
+  return result.rows[0] || null;
+}
+
+// Nests each product's variants, each with its price tiers in ascending quantity order
+async function attachVariants(products, includeInactive = false) {
+  if (products.length === 0) {
+    return products;
+  }
+
+  const variantsResult = await pool.query(`
+    SELECT * FROM product_variants 
+    WHERE product_id = ANY($1) AND ($2 OR is_active = true) 
+    ORDER BY id
+  `, [products.map(product => product.id), includeInactive]);
+
+  const tiersResult = await pool.query(
+    'SELECT id, variant_id, min_quantity, unit_price FROM price_tiers WHERE variant_id = ANY($1) ORDER BY min_quantity',
+    [variantsResult.rows.map(variant => variant.id)]
+  );
+
+  const variants = variantsResult.rows.map(variant => ({
+    ...variant,
+    price_tiers: tiersResult.rows.filter(tier => tier.variant_id === variant.id)
+  }));
+
+  return products.map(product => ({
+    ...product,
+    variants: variants.filter(variant => variant.product_id === product.id)
+  }));
+}
+
+// The price list in force today on the viewer's active relationship with req.brand, with its items.
+// Brand members always see the full catalog at base prices.
+async function resolveViewerPriceList(req) {
+  if (hasPermission(req.orgRole, 'brand:read')) {
+    return null;
+  }
+
+  // A later start date supersedes an earlier list, so a new list can be scheduled ahead of time
+  const listResult = await pool.query(`
+    SELECT pl.id, pl.name, pl.effective_from, pl.effective_to, pl.relationship_id 
+    FROM price_lists pl 
+    JOIN brand_retailer_relationships r ON pl.relationship_id = r.id 
+    WHERE r.brand_id = $1 AND r.status = 'active' AND r.retailer_organization_id IN ${memberOrgsSql('$2')} 
+    AND pl.effective_from <= CURRENT_DATE AND (pl.effective_to IS NULL OR pl.effective_to >= CURRENT_DATE) 
+    ORDER BY pl.effective_from DESC, pl.id DESC 
+    LIMIT 1
+  `, [req.brand.id, req.user.id]);
+
+  return withPriceListItems(listResult.rows[0]);
+}
+
+// The price list in force today on one relationship, whatever its status
+async function getRelationshipPriceList(relationshipId) {
+  const listResult = await pool.query(`
+    SELECT id, name, effective_from, effective_to, relationship_id 
+    FROM price_lists 
+    WHERE relationship_id = $1 
+    AND effective_from <= CURRENT_DATE AND (effective_to IS NULL OR effective_to >= CURRENT_DATE) 
+    ORDER BY effective_from DESC, id DESC 
+    LIMIT 1
+  `, [relationshipId]);
+
+  return withPriceListItems(listResult.rows[0]);
+}
+
+async function withPriceListItems(priceList) {
+  if (!priceList) {
+    return null;
+  }
+
+  const itemsResult = await pool.query(
+    'SELECT product_id, variant_id, price FROM price_list_items WHERE price_list_id = $1',
+    [priceList.id]
+  );
+
+  return { ...priceList, items: itemsResult.rows };
+}
+
+const listedProductsSql = (param) => `(SELECT product_id FROM price_list_items WHERE price_list_id = ${param})`;
+
+const priceListSummary = (priceList) => priceList 
+  ? { id: priceList.id, name: priceList.name, effective_from: priceList.effective_from, effective_to: priceList.effective_to } 
+  : null;
+
+// Sets effective_price on products and their variants. Under a price list, unlisted products are
+// dropped, and a product whose entries name specific variants shows only those variants.
+function applyPriceList(products, priceList) {
+  return products.flatMap(product => {
+    const items = priceList ? priceList.items.filter(item => item.product_id === product.id) : [];
+    if (priceList && items.length === 0) {
+      return [];
+    }
+
+    const productItem = items.find(item => item.variant_id === null);
+    const variantItems = items.filter(item => item.variant_id !== null);
+
+    const variants = (product.variants || [])
+      .filter(variant => variantItems.length === 0 || variantItems.some(item => item.variant_id === variant.id))
+      .map(variant => {
+        const variantItem = variantItems.find(item => item.variant_id === variant.id);
+        return { ...variant, effective_price: variantItem?.price ?? variant.wholesale_cost };
+      });
+
+    return [{ ...product, effective_price: productItem?.price ?? product.price, variants }];
+  });
+}
+
+// Catalog spreadsheet columns and the header spellings accepted for each
+const CATALOG_COLUMNS = {
+  sku: ['sku', 'item number', 'item no', 'item #', 'product code'],
+  name: ['name', 'product name', 'product', 'title'],
+  price: ['price', 'unit price', 'wholesale price'],
+  category: ['category', 'product category'],
+  description: ['description', 'product description', 'details']
+};
+const CATALOG_IMPORT_MAX_ROWS = 5000;
+const CATALOG_EXPORT_BATCH_SIZE = 500;
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Exports put a ' before text a spreadsheet would run as a formula; importing drops it again
+const SPREADSHEET_TEXT_QUOTE = /^'(?=[=+\-@\t\r])/;
+const spreadsheetText = (text) => /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+
+// Plain text for an ExcelJS cell value, including rich text, hyperlinks and formula results
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('').trim();
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    return cellText(value.result);
+  }
+  return String(value).trim().replace(SPREADSHEET_TEXT_QUOTE, '');
+}
+
+// Rows of the first worksheet as arrays of text, with their spreadsheet row numbers
+async function readCatalogRows(file) {
+  const workbook = new ExcelJS.Workbook();
+
+  if (/\.csv$/i.test(file.originalname)) {
+    // Keep every value as text so SKUs like 00123 survive
+    await workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+  }
+
+  const rows = [];
+  const sheet = workbook.worksheets[0];
+  if (sheet) {
+    sheet.eachRow((row, rowNumber) => {
+      rows.push({ rowNumber, values: Array.from(row.values.slice(1), cellText) });
+    });
+  }
+  return rows;
+}
+
+// Column index for each catalog field; an explicit { field: 'Header' } mapping wins over the aliases
+function mapCatalogColumns(headers, mapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(CATALOG_COLUMNS)) {
+    const accepted = mapping[field] ? [normalizeHeader(mapping[field])] : aliases;
+    const index = normalized.findIndex(header => accepted.includes(header));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+
+  return columns;
+}
+
+function parseCatalogRow(values, columns) {
+  const record = {};
+  const errors = [];
+
+  for (const [field, index] of Object.entries(columns)) {
+    record[field] = values[index] || '';
+  }
+
+  if (!record.sku) {
+    errors.push('SKU is required');
+  } else if (record.sku.length > 100) {
+    errors.push('SKU must be 100 characters or fewer');
+  }
+
+  if (!record.name) {
+    errors.push('Name is required');
+  } else if (record.name.length > 255) {
+    errors.push('Name must be 255 characters or fewer');
+  }
+
+  if (record.category && record.category.length > 100) {
+    errors.push('Category must be 100 characters or fewer');
+  }
+
+  if (record.price) {
+    const price = Number(record.price.replace(/[$,\s]/g, ''));
+    if (!Number.isFinite(price) || price < 0 || price > 99999999.99) {
+      errors.push(`Price "${record.price}" is not a valid amount`);
+    } else {
+      record.price = Math.round(price * 100) / 100;
+    }
+  }
+
+  // Blank cells leave the existing value alone on update
+  for (const field of ['price', 'category', 'description']) {
+    if (record[field] === '') {
+      record[field] = null;
+    }
+  }
+
+  return { record, errors };
+}
+
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : spreadsheetText(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Upserts products by SKU from a .csv or .xlsx upload; dryRun=true reports without writing
+app.post('/api/brands/:brandId/products/import', authenticateToken, requirePermission('brand:write', resolveBrand), catalogUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'mapping must be a JSON object such as {"sku": "Item Number"}',
+          code: 'INVALID_MAPPING'
+        });
+      }
+    }
+
+    let rows;
+    try {
+      rows = await readCatalogRows(req.file);
+    } catch (readError) {
+      logger.warn('Catalog import file could not be read', { brandId: req.brand.id, error: readError.message });
+      return res.status(400).json({ 
+        error: 'The file could not be read as a spreadsheet',
+        code: 'IMPORT_UNREADABLE'
+      });
+    }
+
+    if (rows.length < 2) {
+      return res.status(400).json({ 
+        error: 'The file needs a header row and at least one product row',
+        code: 'IMPORT_EMPTY'
+      });
+    }
+
+    if (rows.length - 1 > CATALOG_IMPORT_MAX_ROWS) {
+      return res.status(400).json({ 
+        error: `Imports are limited to ${CATALOG_IMPORT_MAX_ROWS} products per file`,
+        code: 'IMPORT_TOO_LARGE'
+      });
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    const columns = mapCatalogColumns(headerRow.values, mapping);
+    const missingColumns = ['sku', 'name'].filter(field => columns[field] === undefined);
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required column(s): ${missingColumns.join(', ')}`,
+        code: 'MISSING_COLUMNS',
+        headers: headerRow.values
+      });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT id, sku FROM brand_products WHERE brand_id = $1 AND is_active = true AND sku IS NOT NULL',
+      [req.brand.id]
+    );
+    const existingBySku = new Map(existingResult.rows.map(product => [product.sku, product.id]));
+
+    const seenSkus = new Map();
+    const results = [];
+
+    for (const { rowNumber, values } of dataRows) {
+      if (values.every(value => !value)) {
+        continue;
+      }
+
+      const { record, errors } = parseCatalogRow(values, columns);
+
+      if (record.sku && seenSkus.has(record.sku)) {
+        errors.push(`Duplicate SKU; already used on row ${seenSkus.get(record.sku)}`);
+      } else if (record.sku) {
+        seenSkus.set(record.sku, rowNumber);
+      }
+
+      results.push({
+        row: rowNumber,
+        sku: record.sku || null,
+        action: errors.length > 0 ? 'skip' : (existingBySku.has(record.sku) ? 'update' : 'create'),
+        errors,
+        record
+      });
+    }
+
+    // All or nothing, so a failure part-way never leaves a half-imported catalog
+    if (!dryRun) {
+      await withTransaction(async (client) => {
+        for (const result of results) {
+          const { record } = result;
+
+          if (result.action === 'update') {
+            await client.query(`
+              UPDATE brand_products 
+              SET name = $1,
+                  price = COALESCE($2, price),
+                  category = COALESCE($3, category),
+                  description = COALESCE($4, description),
+                  updated_at = CURRENT_TIMESTAMP
+              WHERE id = $5
+            `, [record.name, record.price, record.category, record.description, existingBySku.get(record.sku)]);
+          } else if (result.action === 'create') {
+            await client.query(`
+              INSERT INTO brand_products (brand_id, name, description, category, sku, price) 
+              VALUES ($1, $2, $3, $4, $5, $6)
+            `, [req.brand.id, record.name, record.description, record.category, record.sku, record.price]);
+          }
+        }
+      });
+    }
+
+    const summary = {
+      totalRows: results.length,
+      created: results.filter(result => result.action === 'create').length,
+      updated: results.filter(result => result.action === 'update').length,
+      skipped: results.filter(result => result.action === 'skip').length
+    };
+
+    if (!dryRun) {
+      await logActivity(req.user.id, 'PRODUCTS_IMPORTED', 'brand', req.brand.id, {
+        filename: req.file.originalname,
+        ...summary
+      }, req);
+    }
+
+    res.json({
+      message: dryRun ? 'Dry run complete; no products were changed' : 'Import complete',
+      dryRun,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headerRow.values[index]])),
+      summary,
+      rows: results.map(({ record, ...result }) => result)
+    });
+
+  } catch (error) {
+    // Another request created one of the file's SKUs while the import ran; nothing was written
+    if (error.code === '23505') {
+      return res.status(409).json({ 
+        error: 'A SKU in the file was added to the catalog during the import. Nothing was imported; please try again.',
+        code: 'SKU_EXISTS'
+      });
+    }
+    logger.error('Product import error:', error);
+    res.status(500).json({ 
+      error: 'Failed to import products', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Streams the catalog as CSV (default) or XLSX, in the column layout the importer reads
+app.get('/api/brands/:brandId/products/export', authenticateToken, requirePermission('brands:browse', resolveBrand), async (req, res) => {
+  try {
+    if (!canViewBrand(req)) {
+      return res.status(404).json({ 
+        error: 'Brand not found or access denied',
+        code: 'BRAND_NOT_FOUND'
+      });
+    }
+
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.orgRole, 'brand:read');
+    const filename = `${req.brand.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-catalog.${format}`;
+    const priceList = await resolveViewerPriceList(req);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', format === 'xlsx' 
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+      : 'text/csv; charset=utf-8');
+
+    const fields = ['sku', 'name', 'category', 'price', 'description', 'is_active'];
+    let workbook;
+    let sheet;
+
+    if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      sheet = workbook.addWorksheet('Products');
+      sheet.columns = [
+        { header: 'SKU', key: 'sku', width: 18 },
+        { header: 'Name', key: 'name', width: 36 },
+        { header: 'Category', key: 'category', width: 20 },
+        { header: 'Price', key: 'price', width: 12 },
+        { header: 'Description', key: 'description', width: 60 },
+        { header: 'Active', key: 'is_active', width: 8 }
+      ];
+    } else {
+      res.write(fields.join(',') + '\n');
+    }
+
+    // Page through by id so large catalogs never sit in memory at once
+    let lastId = 0;
+    let exported = 0;
+
+    while (true) {
+      const batch = await pool.query(`
+        SELECT id, ${fields.join(', ')} FROM brand_products 
+        WHERE brand_id = $1 AND id > $2 AND ($3 OR is_active = true) 
+        AND ($5::INTEGER IS NULL OR id IN ${listedProductsSql('$5')}) 
+        ORDER BY id LIMIT $4
+      `, [req.brand.id, lastId, includeInactive, CATALOG_EXPORT_BATCH_SIZE, priceList ? priceList.id : null]);
+
+      // Retailers on a price list get their negotiated prices in the price column
+      for (const { effective_price, ...product } of applyPriceList(batch.rows, priceList)) {
+        product.price = effective_price;
+        if (format === 'xlsx') {
+          sheet.addRow({
+            ...product,
+            ...Object.fromEntries(['sku', 'name', 'category', 'description']
+              .map(field => [field, product[field] === null ? null : spreadsheetText(product[field])])),
+            price: product.price === null ? null : Number(product.price)
+          }).commit();
+        } else if (!res.write(fields.map(field => csvValue(product[field])).join(',') + '\n')) {
+          // A client that disconnects with the buffer full never drains; 'close' ends the wait
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+        if (res.destroyed) {
+          break;
+        }
+      }
+
+      if (res.destroyed) {
+        logger.info(`Product export for brand ${req.brand.id} stopped after ${exported} products: the client disconnected`);
+        return;
+      }
+
+      exported += batch.rows.length;
+      if (batch.rows.length < CATALOG_EXPORT_BATCH_SIZE) {
+        break;
+      }
+      lastId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    if (format === 'xlsx') {
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      res.end();
+    }
+
+    await logActivity(req.user.id, 'PRODUCTS_EXPORTED', 'brand', req.brand.id, { format, count: exported }, req);
+
+  } catch (error) {
+    logger.error('Product export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      error: 'Failed to export products', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Line sheet layout, in PDF points on a US Letter page
+const LINE_SHEET_MARGIN = 50;
+const LINE_SHEET_IMAGE_SIZE = 64;
+const LINE_SHEET_IMAGE_TIMEOUT_MS = 5000;
+// All images together get this long; the ones still loading are left out of the document
+const LINE_SHEET_IMAGE_DEADLINE_MS = 20 * 1000;
+const LINE_SHEET_IMAGE_CONCURRENCY = 4;
+const LINE_SHEET_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const formatPrice = (price) => price === null || price === undefined ? 'Price on request' : `$${Number(price).toFixed(2)}`;
+
+// Bytes of a logo or product image: /uploads paths are read from disk and http(s) URLs on public
+// addresses are fetched. Returns null for anything that can't be loaded (or is over the size cap) so
+// one broken image doesn't break the document.
+async function loadLineSheetImage(url, signal) {
+  if (!url) {
+    return null;
+  }
+  try {
+    if (url.startsWith('/uploads/')) {
+      const filePath = path.join(uploadsDir, url.slice('/uploads/'.length));
+      return filePath.startsWith(uploadsDir + path.sep) ? await fs.promises.readFile(filePath) : null;
+    }
+    if (/^https?:\/\//i.test(url)) {
+      const response = await outboundHttp.request(url, {
+        timeoutMs: LINE_SHEET_IMAGE_TIMEOUT_MS,
+        maxBytes: LINE_SHEET_MAX_IMAGE_BYTES,
+        maxRedirects: 3,
+        allowPrivateAddresses: ALLOW_PRIVATE_OUTBOUND,
+        signal
+      });
+      return response.status >= 200 && response.status < 300 && !response.truncated ? response.body : null;
+    }
+  } catch (error) {
+    logger.warn(`Line sheet image ${url} could not be loaded: ${error.message}`);
+  }
+  return null;
+}
+
+// Loads each distinct URL at most LINE_SHEET_IMAGE_CONCURRENCY at a time, giving up on whatever is
+// left at LINE_SHEET_IMAGE_DEADLINE_MS. Resolves with a Map of URL to bytes (or null).
+async function loadLineSheetImages(urls) {
+  const pending = [...new Set(urls.filter(Boolean))];
+  const images = new Map(pending.map(url => [url, null]));
+  const signal = AbortSignal.timeout(LINE_SHEET_IMAGE_DEADLINE_MS);
+
+  const worker = async () => {
+    while (pending.length > 0 && !signal.aborted) {
+      const url = pending.shift();
+      images.set(url, await loadLineSheetImage(url, signal));
+    }
+  };
+  await Promise.all(Array.from({ length: LINE_SHEET_IMAGE_CONCURRENCY }, worker));
+  return images;
+}
+
+// PDFKit only draws PNG and JPEG; anything else is skipped
+function drawLineSheetImage(doc, image, x, y, size) {
+  if (!image) {
+    return false;
+  }
+  try {
+    doc.image(image, x, y, { fit: [size, size], align: 'center', valign: 'center' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function drawLineSheetCover(doc, brand, logo, relationship, priceList) {
+  const width = doc.page.width - LINE_SHEET_MARGIN * 2;
+
+  if (drawLineSheetImage(doc, logo, LINE_SHEET_MARGIN, LINE_SHEET_MARGIN, 120)) {
+    doc.y = LINE_SHEET_MARGIN + 140;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(28).fillColor('#111111').text(brand.name, { width });
+  doc.font('Helvetica').fontSize(14).fillColor('#555555').text('Wholesale line sheet', { width });
+  doc.moveDown();
+
+  if (brand.description) {
+    doc.fontSize(11).fillColor('#333333').text(brand.description, { width });
+    doc.moveDown();
+  }
+
+  const address = [
+    brand.address,
+    [brand.city, brand.state, brand.postal_code].filter(Boolean).join(', '),
+    brand.country
+  ].filter(Boolean);
+  const contact = [brand.email, brand.phone, brand.website].filter(Boolean);
+
+  doc.fontSize(10).fillColor('#333333');
+  for (const line of [...address, ...contact]) {
+    doc.text(line, { width });
+  }
+
+  if (relationship) {
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111111').text(`Prepared for ${relationship.retailer_name}`, { width });
+    doc.font('Helvetica').fontSize(10).fillColor('#333333');
+    if (relationship.partnership_type) {
+      doc.text(`Partnership: ${relationship.partnership_type}`, { width });
+    }
+    if (priceList) {
+      doc.text(`Pricing: ${priceList.name}`, { width });
+    }
+    if (relationship.notes) {
+      doc.moveDown(0.5).text(relationship.notes, { width });
+    }
+  }
+
+  doc.moveDown(2).fontSize(9).fillColor('#777777').text(`Generated ${new Date().toISOString().slice(0, 10)}`, { width });
+}
+
+function drawLineSheetProduct(doc, product, image) {
+  const left = LINE_SHEET_MARGIN;
+  const textLeft = left + LINE_SHEET_IMAGE_SIZE + 14;
+  const textWidth = doc.page.width - LINE_SHEET_MARGIN - textLeft;
+  const variantLines = product.variants.map(variant => 
+    [variant.name, variant.sku, variant.unit_size, variant.case_pack ? `case of ${variant.case_pack}` : null, formatPrice(variant.effective_price)]
+      .filter(Boolean).join('  ·  ')
+  );
+
+  // Keep a product and its variants on one page
+  const estimatedHeight = Math.max(LINE_SHEET_IMAGE_SIZE, 48 + variantLines.length * 13) + 16;
+  if (doc.y + estimatedHeight > doc.page.height - LINE_SHEET_MARGIN) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  drawLineSheetImage(doc, image, left, top, LINE_SHEET_IMAGE_SIZE);
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#111111')
+    .text(product.name, textLeft, top, { width: textWidth - 110 });
+  doc.text(formatPrice(product.effective_price), doc.page.width - LINE_SHEET_MARGIN - 110, top, { width: 110, align: 'right' });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  doc.text(product.sku ? `SKU ${product.sku}` : 'No SKU', textLeft, doc.y, { width: textWidth });
+  if (product.description) {
+    doc.fillColor('#333333').text(product.description, { width: textWidth, height: 36, ellipsis: true });
+  }
+  for (const line of variantLines) {
+    doc.fillColor('#333333').text(line, { width: textWidth });
+  }
+
+  doc.x = left;
+  doc.y = Math.max(doc.y, top + LINE_SHEET_IMAGE_SIZE) + 16;
+}
+
+// Printable catalog for retail buyers: a cover with the brand's details (and the viewer's relationship,
+// if they have one) followed by every active product they can see, grouped by category
+app.get('/api/brands/:id/line-sheet.pdf', authenticateToken, requirePermission('brands:browse', resolveBrand), async (req, res) => {
+  try {
+    if (!canViewBrand(req)) {
+      return res.status(404).json({ 
+        error: 'Brand not found or access denied',
+        code: 'BRAND_NOT_FOUND'
+      });
+    }
+
+    const brand = req.brand;
+    const priceList = await resolveViewerPriceList(req);
+
+    const productsResult = await pool.query(`
+      SELECT * FROM brand_products 
+      WHERE brand_id = $1 AND is_active = true 
+      AND ($2::INTEGER IS NULL OR id IN ${listedProductsSql('$2')}) 
+      ORDER BY category NULLS LAST, name
+    `, [brand.id, priceList ? priceList.id : null]);
+    const products = applyPriceList(await attachVariants(productsResult.rows), priceList);
+
+    const relationshipResult = await pool.query(`
+      SELECT r.partnership_type, r.notes, org.name as retailer_name 
+      FROM brand_retailer_relationships r 
+      JOIN organizations org ON r.retailer_organization_id = org.id 
+      WHERE r.brand_id = $1 AND r.retailer_organization_id IN ${memberOrgsSql('$2')} 
+      ORDER BY r.updated_at DESC 
+      LIMIT 1
+    `, [brand.id, req.user.id]);
+    const relationship = relationshipResult.rows[0] || null;
+
+    const categories = new Map();
+    for (const product of products) {
+      const category = product.category || 'Other products';
+      categories.set(category, [...(categories.get(category) || []), product]);
+    }
+
+    // Load images before writing anything so a slow fetch can't stall a half-sent response
+    const images = await loadLineSheetImages([brand.logo_url, ...products.map(product => product.image_url)]);
+
+    const filename = `${brand.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-line-sheet.pdf`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'application/pdf');
+
+    const doc = new PDFDocument({ 
+      size: 'LETTER', 
+      margin: LINE_SHEET_MARGIN,
+      info: { Title: `${brand.name} line sheet`, Author: brand.name, Creator: 'ROLLodx' }
+    });
+    doc.pipe(res);
+
+    drawLineSheetCover(doc, brand, images.get(brand.logo_url), relationship, priceList);
+
+    doc.addPage();
+    for (const [category, categoryProducts] of categories) {
+      // Don't strand a category heading at the foot of a page
+      if (doc.y > doc.page.height - LINE_SHEET_MARGIN - 120) {
+        doc.addPage();
+      }
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#111111').text(category, LINE_SHEET_MARGIN, doc.y);
+      doc.moveDown(0.75);
+      for (const product of categoryProducts) {
+        drawLineSheetProduct(doc, product, images.get(product.image_url));
+      }
+      doc.moveDown();
+    }
+
+    if (products.length === 0) {
+      doc.font('Helvetica').fontSize(12).fillColor('#555555').text('No products are listed yet.');
+    }
+
+    doc.end();
+
+    await logActivity(req.user.id, 'LINE_SHEET_DOWNLOADED', 'brand', brand.id, { productCount: products.length }, req);
+
+  } catch (error) {
+    logger.error('Line sheet error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      error: 'Failed to generate line sheet', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/brands/:brandId/products', authenticateToken, requirePermission('brands:browse', resolveBrand), paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    if (!canViewBrand(req)) {
+      return res.status(404).json({ 
+        error: 'Brand not found or access denied',
+        code: 'BRAND_NOT_FOUND'
+      });
+    }
+
+    const { category, search, includeInactive, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let where = 'WHERE brand_id = $1';
+    const params = [req.brand.id];
+
+    // Only the brand's own members can see soft-deleted products
+    if (!(includeInactive === 'true' && hasPermission(req.orgRole, 'brand:read'))) {
+      where += ' AND is_active = true';
+    }
+
+    const priceList = await resolveViewerPriceList(req);
+    if (priceList) {
+      params.push(priceList.id);
+      where += ` AND id IN ${listedProductsSql(`$${params.length}`)}`;
+    }
+
+    if (category) {
+      params.push(category);
+      where += ` AND category = $${params.length}`;
+    }
+
+    if (search) {
+      params.push(`%${search}%`);
+      where += ` AND (name ILIKE $${params.length} OR sku ILIKE $${params.length} OR description ILIKE $${params.length})`;
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM brand_products 
+      ${where} 
+      ORDER BY created_at DESC 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM brand_products ${where}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      products: applyPriceList(await attachVariants(result.rows, hasPermission(req.orgRole, 'brand:read')), priceList),
+      priceList: priceListSummary(priceList),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: (page * limit) < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Products fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch products', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/brands/:brandId/products/:productId', authenticateToken, requirePermission('brands:browse', resolveBrand), loadProduct, async (req, res) => {
+  try {
+    const [product] = applyPriceList(await attachVariants([req.product], hasPermission(req.orgRole, 'brand:read')), req.priceList);
+
+    res.json({ 
+      product,
+      priceList: priceListSummary(req.priceList)
+    });
+
+  } catch (error) {
+    logger.error('Product fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch product', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/brands/:brandId/products', authenticateToken, requirePermission('brand:write', resolveBrand), [
+  body('name').exists(),
+  ...productValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { name, description, category, sku, price, image_url, metadata } = req.body;
+
+    if (await findSkuConflict(req.brand.id, sku)) {
+      return res.status(409).json({ 
+        error: `A product with SKU ${sku} already exists`,
+        code: 'SKU_EXISTS'
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO brand_products (brand_id, name, description, category, sku, price, image_url, metadata) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+    `, [req.brand.id, name, description || null, category || null, sku || null, price ?? null, image_url || null, metadata || {}]);
+
+    await logActivity(req.user.id, 'PRODUCT_CREATED', 'brand_product', result.rows[0].id, {
+      brandId: req.brand.id,
+      name,
+      sku
+    }, req);
+
+    res.json({
+      message: 'Product created successfully',
+      product: result.rows[0]
+    });
+
+  } catch (error) {
+    // Lost a race with a concurrent create of the same SKU
+    if (error.code === '23505') {
+      return res.status(409).json({ 
+        error: `A product with SKU ${req.body.sku} already exists`,
+        code: 'SKU_EXISTS'
+      });
+    }
+    logger.error('Product creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create product', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/brands/:brandId/products/:productId', authenticateToken, requirePermission('brand:write', resolveBrand), productValidators, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT * FROM brand_products WHERE id = $1 AND brand_id = $2',
+      [productId, req.brand.id]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const existing = existingResult.rows[0];
+    const { name, description, category, sku, price, image_url, metadata, is_active } = req.body;
+
+    // Re-activating a product or changing its SKU must not collide with another active product
+    const willBeActive = is_active ?? existing.is_active;
+    if (willBeActive && await findSkuConflict(req.brand.id, sku ?? existing.sku, existing.id)) {
+      return res.status(409).json({ 
+        error: `A product with SKU ${sku ?? existing.sku} already exists`,
+        code: 'SKU_EXISTS'
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE brand_products 
+      SET name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          category = COALESCE($3, category),
+          sku = COALESCE($4, sku),
+          price = COALESCE($5, price),
+          image_url = COALESCE($6, image_url),
+          metadata = COALESCE($7, metadata),
+          is_active = COALESCE($8, is_active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9 
+      RETURNING *
+    `, [name, description, category, sku, price, image_url, metadata, is_active, productId]);
+
+    await logActivity(req.user.id, 'PRODUCT_UPDATED', 'brand_product', parseInt(productId), {
+      brandId: req.brand.id,
+      updatedFields: { name, description, category, sku, price, image_url, is_active }
+    }, req);
+
+    res.json({
+      message: 'Product updated successfully',
+      product: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ 
+        error: 'Another active product already has this SKU',
+        code: 'SKU_EXISTS'
+      });
+    }
+    logger.error('Product update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update product', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Soft delete; the product can be restored with PUT { is_active: true }
+app.delete('/api/brands/:brandId/products/:productId', authenticateToken, requirePermission('brand:write', resolveBrand), async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const result = await pool.query(`
+      UPDATE brand_products SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND brand_id = $2 AND is_active = true 
+      RETURNING id, name, sku
+    `, [productId, req.brand.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await logActivity(req.user.id, 'PRODUCT_DELETED', 'brand_product', parseInt(productId), {
+      brandId: req.brand.id,
+      name: result.rows[0].name,
+      sku: result.rows[0].sku
+    }, req);
+
+    res.json({ message: 'Product deleted successfully' });
+
+  } catch (error) {
+    logger.error('Product deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete product', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// PRODUCT VARIANT ROUTES
+app.get('/api/brands/:brandId/products/:productId/variants', authenticateToken, requirePermission('brands:browse', resolveBrand), loadProduct, async (req, res) => {
+  try {
+    const [product] = applyPriceList(await attachVariants([req.product], hasPermission(req.orgRole, 'brand:read')), req.priceList);
+    res.json({ variants: product.variants });
+
+  } catch (error) {
+    logger.error('Variants fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch variants', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/brands/:brandId/products/:productId/variants', authenticateToken, requirePermission('brand:write', resolveBrand), loadProduct, [
+  body('name').exists(),
+  ...variantValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { name, sku, unit_size, case_pack, gtin, msrp, wholesale_cost } = req.body;
+
+    const { gtinConflict, result } = await withTransaction(async (client) => {
+      const conflict = await findGtinConflict(client, req.brand.id, gtin);
+      if (conflict) {
+        return { gtinConflict: conflict };
+      }
+      return {
+        result: await client.query(`
+          INSERT INTO product_variants (product_id, name, sku, unit_size, case_pack, gtin, msrp, wholesale_cost) 
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+        `, [req.product.id, name, sku || null, unit_size || null, case_pack ?? null, gtin || null, msrp ?? null, wholesale_cost ?? null])
+      };
+    });
+
+    if (gtinConflict) {
+      return res.status(409).json({ 
+        error: `GTIN ${gtin} is already used by a variant of ${gtinConflict.product_name}`,
+        code: 'GTIN_EXISTS'
+      });
+    }
+
+    await logActivity(req.user.id, 'PRODUCT_VARIANT_CREATED', 'product_variant', result.rows[0].id, {
+      brandId: req.brand.id,
+      productId: req.product.id,
+      name,
+      gtin
+    }, req);
+
+    res.json({
+      message: 'Variant created successfully',
+      variant: { ...result.rows[0], price_tiers: [] }
+    });
+
+  } catch (error) {
+    logger.error('Variant creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create variant', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/brands/:brandId/products/:productId/variants/:variantId', authenticateToken, requirePermission('brand:write', resolveBrand), loadProduct, variantValidators, async (req, res) => {
+  try {
+    const { variantId } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT * FROM product_variants WHERE id = $1 AND product_id = $2',
+      [variantId, req.product.id]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const existing = existingResult.rows[0];
+    const { name, sku, unit_size, case_pack, gtin, msrp, wholesale_cost, is_active } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      if ((is_active ?? existing.is_active) && await findGtinConflict(client, req.brand.id, gtin || existing.gtin, existing.id)) {
+        return null;
+      }
+      return client.query(`
+        UPDATE product_variants 
+        SET name = COALESCE($1, name),
+            sku = COALESCE($2, sku),
+            unit_size = COALESCE($3, unit_size),
+            case_pack = COALESCE($4, case_pack),
+            gtin = COALESCE($5, gtin),
+            msrp = COALESCE($6, msrp),
+            wholesale_cost = COALESCE($7, wholesale_cost),
+            is_active = COALESCE($8, is_active),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $9 
+        RETURNING *
+      `, [name, sku, unit_size, case_pack, gtin || null, msrp, wholesale_cost, is_active, variantId]);
+    });
+
+    if (!result) {
+      return res.status(409).json({ 
+        error: `GTIN ${gtin || existing.gtin} is already used by another variant`,
+        code: 'GTIN_EXISTS'
+      });
+    }
+
+    await logActivity(req.user.id, 'PRODUCT_VARIANT_UPDATED', 'product_variant', parseInt(variantId), {
+      brandId: req.brand.id,
+      productId: req.product.id,
+      updatedFields: { name, sku, unit_size, case_pack, gtin, msrp, wholesale_cost, is_active }
+    }, req);
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Variant update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update variant', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Soft delete, like products, so existing orders keep pointing at a real variant
+app.delete('/api/brands/:brandId/products/:productId/variants/:variantId', authenticateToken, requirePermission('brand:write', resolveBrand), loadProduct, async (req, res) => {
+  try {
+    const { variantId } = req.params;
+
+    const result = await pool.query(`
+      UPDATE product_variants SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND product_id = $2 AND is_active = true 
+      RETURNING id, name
+    `, [variantId, req.product.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    await logActivity(req.user.id, 'PRODUCT_VARIANT_DELETED', 'product_variant', parseInt(variantId), {
+      brandId: req.brand.id,
+      productId: req.product.id,
+      name: result.rows[0].name
+    }, req);
+
+    res.json({ message: 'Variant deleted successfully' });
+
+  } catch (error) {
+    logger.error('Variant deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete variant', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Replaces a variant's volume price breaks; unit prices may not rise as quantity grows
+app.put('/api/brands/:brandId/products/:productId/variants/:variantId/price-tiers', authenticateToken, requirePermission('brand:write', resolveBrand), loadProduct, [
+  body('tiers').isArray({ max: 20 }),
+  body('tiers.*.min_quantity').isInt({ min: 1 }).toInt(),
+  body('tiers.*.unit_price').isFloat({ min: 0, max: 99999999.99 }).toFloat()
+], async (req, res) => {
+  try {
+    const { variantId } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const variantResult = await pool.query(
+      'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+      [variantId, req.product.id]
+    );
+    if (variantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const tiers = [...req.body.tiers].sort((a, b) => a.min_quantity - b.min_quantity);
+
+    for (let i = 1; i < tiers.length; i++) {
+      if (tiers[i].min_quantity === tiers[i - 1].min_quantity) {
+        return res.status(400).json({ 
+          error: `More than one tier starts at quantity ${tiers[i].min_quantity}`,
+          code: 'INVALID_PRICE_TIERS'
+        });
+      }
+      if (tiers[i].unit_price > tiers[i - 1].unit_price) {
+        return res.status(400).json({ 
+          error: `The price at ${tiers[i].min_quantity}+ units is higher than at ${tiers[i - 1].min_quantity}+ units`,
+          code: 'INVALID_PRICE_TIERS'
+        });
+      }
+    }
+
+    // Replaced as a whole, so a failed insert leaves the old tiers in place
+    const saved = await withTransaction(async (client) => {
+      await client.query('DELETE FROM price_tiers WHERE variant_id = $1', [variantId]);
+
+      const rows = [];
+      for (const tier of tiers) {
+        const tierResult = await client.query(`
+          INSERT INTO price_tiers (variant_id, min_quantity, unit_price) 
+          VALUES ($1, $2, $3) 
+          RETURNING id, variant_id, min_quantity, unit_price
+        `, [variantId, tier.min_quantity, tier.unit_price]);
+        rows.push(tierResult.rows[0]);
+      }
+      return rows;
+    });
+
+    await logActivity(req.user.id, 'PRICE_TIERS_UPDATED', 'product_variant', parseInt(variantId), {
+      brandId: req.brand.id,
+      productId: req.product.id,
+      tiers: tiers.map(tier => ({ minQuantity: tier.min_quantity, unitPrice: tier.unit_price }))
+    }, req);
+
+    res.json({
+      message: 'Price tiers updated successfully',
+      price_tiers: saved
+    });
+
+  } catch (error) {
+    logger.error('Price tiers update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update price tiers', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// ASSET ROUTES
+app.post('/api/brands/:brandId/assets', authenticateToken, requirePermission('brand:assets:write', resolveBrand), requireVerifiedEmail, upload.array('files', 10), async (req, res) => {
+  try {
+    const { brandId } = req.params;
+    const { description, category = 'general', permission_level = 'partners_only' } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const uploadedAssets = [];
+
+    for (const file of req.files) {
+      const fileUrl = `/uploads/brands/${brandId}/${file.filename}`;
+      
+      const assetResult = await pool.query(`
+        INSERT INTO brand_assets (brand_id, filename, original_name, file_type, file_size, file_path, file_url, description, category, permission_level, uploaded_by) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *
+      `, [
+        brandId,
+        file.filename,
+        file.originalname,
+        file.mimetype,
+        file.size,
+        file.path,
+        fileUrl,
+        description || null,
+        category,
+        permission_level,
+        req.user.id
+      ]);
+
+      uploadedAssets.push(assetResult.rows[0]);
+
+      await logActivity(req.user.id, 'ASSET_UPLOADED', 'brand_asset', assetResult.rows[0].id, {
+        brandId,
+        filename: file.originalname,
+        permission_level,
+        category
+      }, req);
+    }
+
+    logger.info('ROLLodex assets uploaded successfully', { brandId, count: uploadedAssets.length, userId: req.user.id });
+
+    await publishAssetEvent('asset:uploaded', req.brand, uploadedAssets, req.user.id);
+    await notifyAssetsShared(req.brand, uploadedAssets, req.user.id);
+
+    res.json({
+      message: `${uploadedAssets.length} asset(s) uploaded successfully`,
+      assets: uploadedAssets
+    });
+
+  } catch (error) {
+    logger.error('Asset upload error:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload assets', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/brands/:brandId/assets', authenticateToken, requirePermission('brands:browse', resolveBrand), async (req, res) => {
+  try {
+    const { brandId } = req.params;
+
+    // Members see every asset; others only what a public brand shares
+    let assetsQuery = `
+      SELECT * FROM brand_assets 
+      WHERE brand_id = $1 
+    `;
+    
+    if (!hasPermission(req.orgRole, 'brand:assets:read')) {
+      if (req.brand.is_public) {
+        assetsQuery += ` AND permission_level IN ('public', 'partners_only')`;
+      } else {
+        return res.status(403).json({ 
+          error: 'You do not have permission to do that',
+          code: 'PERMISSION_DENIED',
+          permission: 'brand:assets:read'
+        });
+      }
+    }
+
+    assetsQuery += ` ORDER BY is_featured DESC, created_at DESC`;
+
+    const result = await pool.query(assetsQuery, [brandId]);
+
+    res.json({ assets: result.rows });
+
+  } catch (error) {
+    logger.error('Assets fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch assets', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/brands/:brandId/assets/:assetId', authenticateToken, requirePermission('brand:assets:write', resolveBrand), async (req, res) => {
+  try {
+    const { brandId, assetId } = req.params;
+
+    const assetResult = await pool.query(
+      'SELECT * FROM brand_assets WHERE id = $1 AND brand_id = $2',
+      [assetId, brandId]
+    );
+
+    if (assetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    // Delete file from disk
+    const filePath = assetResult.rows[0].file_path;
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+
+    // Delete from database
+    await pool.query('DELETE FROM brand_assets WHERE id = $1', [assetId]);
+
+    await logActivity(req.user.id, 'ASSET_DELETED', 'brand_asset', parseInt(assetId), {
+      brandId: parseInt(brandId),
+      filename: assetResult.rows[0].original_name,
+      permission_level: assetResult.rows[0].permission_level
+    }, req);
+
+    await publishAssetEvent('asset:deleted', req.brand, assetResult.rows, req.user.id);
+
+    res.json({ message: 'Asset deleted successfully' });
+
+  } catch (error) {
+    logger.error('Asset deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete asset', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// BRAND VERIFICATION ROUTES
+app.get('/api/brands/:brandId/verification', authenticateToken, requirePermission('brand:read', resolveBrand), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, status, notes, submitted_at, reviewed_at, review_comments, created_at, updated_at 
+      FROM brand_verification_requests 
+      WHERE brand_id = $1 
+      ORDER BY created_at DESC
+    `, [req.brand.id]);
+
+    const documents = await getVerificationDocuments(result.rows.map(request => request.id));
+
+    res.json({
+      isVerified: req.brand.is_verified,
+      verifiedAt: req.brand.verified_at,
+      requests: result.rows.map(request => ({
+        ...request,
+        documents: documents.filter(document => document.request_id === request.id)
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Verification requests fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch verification requests', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/brands/:brandId/verification', authenticateToken, requirePermission('brand:write', resolveBrand), [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    if (req.brand.is_verified) {
+      return res.status(400).json({ 
+        error: 'This brand is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    const openResult = await pool.query(
+      `SELECT id, status FROM brand_verification_requests WHERE brand_id = $1 AND status IN ('draft', 'submitted')`,
+      [req.brand.id]
+    );
+    if (openResult.rows.length > 0) {
+      return res.status(400).json({ 
+        error: `This brand already has a ${openResult.rows[0].status} verification request`,
+        code: 'VERIFICATION_REQUEST_OPEN',
+        requestId: openResult.rows[0].id
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO brand_verification_requests (brand_id, notes, created_by) 
+      VALUES ($1, $2, $3) RETURNING *
+    `, [req.brand.id, req.body.notes || null, req.user.id]);
+
+    await logActivity(req.user.id, 'VERIFICATION_REQUEST_CREATED', 'brand_verification_request', result.rows[0].id, {
+      brandId: req.brand.id
+    }, req);
+
+    res.json({
+      message: 'Verification request created',
+      request: { ...result.rows[0], documents: [] }
+    });
+
+  } catch (error) {
+    logger.error('Verification request create error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create verification request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.put('/api/brands/:brandId/verification/:requestId', authenticateToken, requirePermission('brand:write', resolveBrand), loadVerificationRequest(true), [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE brand_verification_requests 
+      SET notes = COALESCE($1, notes), updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $2 
+      RETURNING *
+    `, [req.body.notes, req.verificationRequest.id]);
+
+    res.json({
+      message: 'Verification request updated',
+      request: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Verification request update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update verification request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/brands/:brandId/verification/:requestId/documents', authenticateToken, requirePermission('brand:write', resolveBrand), requireVerifiedEmail, loadVerificationRequest(true), verificationUpload.array('files', 10), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const documents = [];
+
+    for (const file of req.files) {
+      const documentResult = await pool.query(`
+        INSERT INTO brand_verification_documents (request_id, filename, original_name, file_type, file_size, file_path, description, uploaded_by) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+        RETURNING ${VERIFICATION_DOCUMENT_COLUMNS}
+      `, [
+        req.verificationRequest.id,
+        file.filename,
+        file.originalname,
+        file.mimetype,
+        file.size,
+        file.path,
+        req.body.description || null,
+        req.user.id
+      ]);
+
+      documents.push(documentResult.rows[0]);
+    }
+
+    await logActivity(req.user.id, 'VERIFICATION_DOCUMENTS_UPLOADED', 'brand_verification_request', req.verificationRequest.id, {
+      brandId: req.brand.id,
+      files: req.files.map(file => file.originalname)
+    }, req);
+
+    res.json({
+      message: `${documents.length} document(s) uploaded successfully`,
+      documents
+    });
+
+  } catch (error) {
+    logger.error('Verification document upload error:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload documents', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/brands/:brandId/verification/:requestId/documents/:documentId', authenticateToken, requirePermission('brand:read', resolveBrand), loadVerificationRequest(), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM brand_verification_documents WHERE id = $1 AND request_id = $2',
+      [req.params.documentId, req.verificationRequest.id]
+    );
+
+    if (result.rows.length === 0 || !fs.existsSync(result.rows[0].file_path)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.download(result.rows[0].file_path, result.rows[0].original_name);
+
+  } catch (error) {
+    logger.error('Verification document download error:', error);
+    res.status(500).json({ 
+      error: 'Failed to download document', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/brands/:brandId/verification/:requestId/documents/:documentId', authenticateToken, requirePermission('brand:write', resolveBrand), loadVerificationRequest(true), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM brand_verification_documents WHERE id = $1 AND request_id = $2 RETURNING file_path, original_name',
+      [req.params.documentId, req.verificationRequest.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (fs.existsSync(result.rows[0].file_path)) {
+      fs.unlinkSync(result.rows[0].file_path);
+    }
+
+    await logActivity(req.user.id, 'VERIFICATION_DOCUMENT_DELETED', 'brand_verification_request', req.verificationRequest.id, {
+      brandId: req.brand.id,
+      filename: result.rows[0].original_name
+    }, req);
+
+    res.json({ message: 'Document deleted successfully' });
+
+  } catch (error) {
+    logger.error('Verification document deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete document', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/brands/:brandId/verification/:requestId/submit', authenticateToken, requirePermission('brand:write', resolveBrand), loadVerificationRequest(), async (req, res) => {
+  try {
+    const request = req.verificationRequest;
+
+    if (!canTransitionVerification(request.status, 'submitted')) {
+      return res.status(400).json({ 
+        error: `A ${request.status} verification request cannot be submitted`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    const documentsResult = await pool.query(
+      'SELECT COUNT(*) FROM brand_verification_documents WHERE request_id = $1',
+      [request.id]
+    );
+    if (parseInt(documentsResult.rows[0].count) === 0) {
+      return res.status(400).json({ 
+        error: 'Upload at least one supporting document before submitting',
+        code: 'DOCUMENTS_REQUIRED'
+      });
+    }
+
+    // Conditional on the current status so a concurrent submit can't slip through twice
+    const result = await pool.query(`
+      UPDATE brand_verification_requests 
+      SET status = 'submitted', submitted_by = $1, submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $2 AND status = $3 
+      RETURNING *
+    `, [req.user.id, request.id, request.status]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ 
+        error: 'The verification request changed while you were submitting it',
+        code: 'CONFLICT'
+      });
+    }
+
+    await logActivity(req.user.id, 'VERIFICATION_REQUEST_SUBMITTED', 'brand_verification_request', request.id, {
+      brandId: req.brand.id
+    }, req);
+
+    res.json({
+      message: 'Verification request submitted for review',
+      request: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Verification request submit error:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit verification request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// ANALYTICS ROUTES
+app.get('/api/analytics/dashboard', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const stats = {};
+
+    if (req.user.companyType === 'retailer') {
+      // Retailer analytics
+      const relationshipsResult = await pool.query(
+        `SELECT COUNT(*) as total, status FROM brand_retailer_relationships WHERE retailer_organization_id IN ${memberOrgsSql('$1')} GROUP BY status`,
+        [req.user.id]
+      );
+
+      const totalBrandsResult = await pool.query(
+        `SELECT COUNT(DISTINCT brand_id) as total FROM brand_retailer_relationships WHERE retailer_organization_id IN ${memberOrgsSql('$1')}`,
+        [req.user.id]
+      );
+
+      const recentActivityResult = await pool.query(`
+        SELECT COUNT(*) as count 
+        FROM activity_log 
+        WHERE user_id = $1 AND created_at > NOW() - INTERVAL '7 days'
+      `, [req.user.id]);
+
+      stats.relationships = relationshipsResult.rows.reduce((acc, row) => {
+        acc[row.status] = parseInt(row.total);
+        return acc;
+      }, {});
+
+      stats.totalBrands = parseInt(totalBrandsResult.rows[0]?.total || 0);
+      stats.recentActivity = parseInt(recentActivityResult.rows[0]?.count || 0);
+
+    } else if (req.user.companyType === 'brand') {
+      // Brand analytics
+      const brandResult = await pool.query(`SELECT id FROM brands WHERE organization_id IN ${memberOrgsSql('$1')} ORDER BY id`, [req.user.id]);
+      
+      if (brandResult.rows.length > 0) {
+        const brandId = brandResult.rows[0].id;
+
+        const relationshipsResult = await pool.query(
+          'SELECT COUNT(*) as total, status FROM brand_retailer_relationships WHERE brand_id = $1 GROUP BY status',
+          [brandId]
+        );
+
+        const assetsResult = await pool.query(
+          'SELECT COUNT(*) as total, SUM(download_count) as total_downloads FROM brand_assets WHERE brand_id = $1',
+          [brandId]
+        );
+
+        const productsResult = await pool.query(
+          'SELECT COUNT(*) as total FROM brand_products WHERE brand_id = $1 AND is_active = true',
+          [brandId]
+        );
+
+        stats.relationships = relationshipsResult.rows.reduce((acc, row) => {
+          acc[row.status] = parseInt(row.total);
+          return acc;
+        }, {});
+
+        stats.totalAssets = parseInt(assetsResult.rows[0]?.total || 0);
+        stats.totalDownloads = parseInt(assetsResult.rows[0]?.total_downloads || 0);
+        stats.totalProducts = parseInt(productsResult.rows[0]?.total || 0);
+      }
+    }
+
+    res.json({ stats });
+
+  } catch (error) {
+    logger.error('Analytics fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch analytics', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// RETAILER DIRECTORY ROUTES
+// Retailers brands can pitch; contact details stay private until a partnership exists
+app.get('/api/retailers', authenticateToken, requirePermission('retailers:browse'), paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { search, industry, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let where = 'WHERE r.organization_id IS NOT NULL';
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      where += ` AND (r.name ILIKE $${params.length} OR r.description ILIKE $${params.length})`;
+    }
+
+    if (industry) {
+      params.push(industry);
+      where += ` AND r.industry = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT r.id, r.name, r.description, r.industry, r.website, r.city, r.state, r.country, 
+             r.logo_url, r.organization_id, r.created_at 
+      FROM retailers r 
+      ${where} 
+      ORDER BY r.name 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM retailers r ${where}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      retailers: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Retailer directory fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch retailers', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// RELATIONSHIPS ROUTES
+// Allowed status changes and the side that may make each. The retailer moves a partnership
+// through prospective → pending → active and can end it; the brand can pause or withdraw it.
+const RELATIONSHIP_TRANSITIONS = {
+  prospective: { pending: 'retailer', active: 'retailer', inactive: 'retailer', withdrawn: 'brand' },
+  pending: { active: 'retailer', inactive: 'retailer', withdrawn: 'brand' },
+  active: { inactive: 'retailer', paused: 'brand', withdrawn: 'brand' },
+  paused: { active: 'brand', inactive: 'retailer', withdrawn: 'brand' },
+  inactive: { prospective: 'retailer', pending: 'retailer', active: 'retailer' },
+  withdrawn: { pending: 'retailer' }
+};
+const RELATIONSHIP_STATUSES = Object.keys(RELATIONSHIP_TRANSITIONS);
+const RELATIONSHIP_REASON_REQUIRED = ['inactive', 'withdrawn'];
+
+// Rows left with a status from before these rules may move to any status once
+const allowedRelationshipTransitions = (from, side) => RELATIONSHIP_TRANSITIONS[from]
+  ? Object.keys(RELATIONSHIP_TRANSITIONS[from]).filter(to => RELATIONSHIP_TRANSITIONS[from][to] === side)
+  : RELATIONSHIP_STATUSES;
+
+// Fields each side owns, keyed by request body name
+const RELATIONSHIP_SIDE_FIELDS = {
+  retailer: ['partnershipType', 'notes', 'priority', 'startedDate'],
+  brand: ['brandNotes', 'accountRepId', 'terms']
+};
+
+// Each side's notes are private to it
+function relationshipForSide(relationship, side) {
+  const { notes, brand_notes, ...shared } = relationship;
+  return side === 'retailer' ? { ...shared, notes } : { ...shared, brand_notes };
+}
+
+// Written in the same transaction as the change it records
+async function recordRelationshipStatus(client, relationshipId, fromStatus, toStatus, userId, reason = null) {
+  await client.query(
+    'INSERT INTO relationship_status_history (relationship_id, from_status, to_status, reason, changed_by) VALUES ($1, $2, $3, $4, $5)',
+    [relationshipId, fromStatus, toStatus, reason || null, userId]
+  );
+}
+
+app.get('/api/relationships', authenticateToken, requirePermission('relationships:list'), async (req, res) => {
+  try {
+    let query;
+    let params = [req.user.id];
+
+    if (req.user.companyType === 'retailer') {
+      // Get relationships from retailer perspective
+      query = `
+        SELECT r.*, b.name as brand_name, b.description as brand_description, 
+               b.industry, b.website, b.profile_completion_score, b.is_verified,
+               u.first_name, u.last_name, u.email as brand_contact_email,
+               rep.first_name as account_rep_first_name, rep.last_name as account_rep_last_name, rep.email as account_rep_email,
+               COUNT(DISTINCT p.id) as product_count,
+               COUNT(DISTINCT a.id) as asset_count
+        FROM brand_retailer_relationships r
+        JOIN brands b ON r.brand_id = b.id
+        JOIN users u ON b.owner_id = u.id
+        LEFT JOIN users rep ON r.account_rep_id = rep.id
+        LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
+        LEFT JOIN brand_assets a ON b.id = a.brand_id
+        WHERE r.retailer_organization_id IN ${memberOrgsSql('$1')}
+        GROUP BY r.id, b.id, b.name, b.description, b.industry, b.website, b.profile_completion_score, b.is_verified, u.first_name, u.last_name, u.email, rep.id
+        ORDER BY r.priority DESC, r.updated_at DESC
+      `;
+    } else {
+      // Get relationships from brand perspective
+      query = `
+        SELECT r.*, ret.name as retailer_name, ret.description as retailer_description,
+               ret.industry as retailer_industry, ret.website as retailer_website,
+               u.first_name, u.last_name, u.email as retailer_contact_email,
+               rep.first_name as account_rep_first_name, rep.last_name as account_rep_last_name, rep.email as account_rep_email
+        FROM brand_retailer_relationships r
+        JOIN brands b ON r.brand_id = b.id
+        LEFT JOIN retailers ret ON r.retailer_organization_id = ret.organization_id
+        JOIN users u ON r.retailer_id = u.id
+        LEFT JOIN users rep ON r.account_rep_id = rep.id
+        WHERE b.organization_id IN ${memberOrgsSql('$1')}
+        ORDER BY r.priority DESC, r.updated_at DESC
+      `;
+    }
+
+    const result = await pool.query(query, params);
+    const side = req.user.companyType === 'retailer' ? 'retailer' : 'brand';
+    res.json({ relationships: result.rows.map(relationship => relationshipForSide(relationship, side)) });
+
+  } catch (error) {
+    logger.error('Relationships fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch relationships', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/relationships', authenticateToken, requirePermission('relationships:write', resolveRetailerOrganization), [
+  body('brandId').isInt(),
+  body('status').isIn(['prospective', 'pending', 'active', 'inactive']),
+  body('partnershipType').optional().trim(),
+  body('notes').optional().trim(),
+  body('priority').optional().isIn(['low', 'normal', 'high']),
+  body('organizationId').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { brandId, status, partnershipType, notes, priority = 'normal' } = req.body;
+
+    // Verify brand exists and is accessible
+    const brandResult = await pool.query('SELECT id FROM brands WHERE id = $1 AND is_public = true', [brandId]);
+    if (brandResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Brand not found or not accessible' });
+    }
+
+    // Check if relationship already exists
+    const existingResult = await pool.query(
+      'SELECT id FROM brand_retailer_relationships WHERE brand_id = $1 AND retailer_organization_id = $2',
+      [brandId, req.organizationId]
+    );
+
+    if (existingResult.rows.length > 0) {
+      return res.status(400).json({ error: 'Relationship already exists' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO brand_retailer_relationships (brand_id, retailer_id, retailer_organization_id, status, partnership_type, notes, priority, created_by) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+      `, [brandId, req.user.id, req.organizationId, status, partnershipType, notes, priority, req.user.id]);
+      await recordRelationshipStatus(client, inserted.rows[0].id, null, status, req.user.id);
+      return inserted;
+    });
+
+    await logActivity(req.user.id, 'RELATIONSHIP_CREATED', 'brand_retailer_relationship', result.rows[0].id, {
+      brandId,
+      status,
+      partnershipType,
+      priority
+    }, req);
+
+    await publishRelationshipEvent('relationship:created', result.rows[0], req.user.id);
+    await notifyPartnershipSides(relationshipParties(result.rows[0]), req.user.id, (counterpart) => ({
+      type: 'relationship_created',
+      title: `New ${status} relationship with ${counterpart}`,
+      entityType: 'brand_retailer_relationship',
+      entityId: result.rows[0].id
+    }));
+
+    res.json({
+      message: 'Relationship created successfully',
+      relationship: relationshipForSide(result.rows[0], 'retailer')
+    });
+
+  } catch (error) {
+    // Lost a race with another create, or with the retailer accepting a partnership request
+    if (error.code === '23505') {
+      return res.status(409).json({ 
+        error: 'Relationship already exists',
+        code: 'RELATIONSHIP_EXISTS'
+      });
+    }
+    logger.error('Relationship creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create relationship', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Each side edits only its own fields, and status changes must follow RELATIONSHIP_TRANSITIONS
+// for that side. Every status change is kept in relationship_status_history.
+app.put('/api/relationships/:id', authenticateToken, requirePermission('relationships:write', resolveRelationshipParty), [
+  body('status').optional().isIn(RELATIONSHIP_STATUSES),
+  body('reason').optional().trim().isLength({ max: 2000 }),
+  body('partnershipType').optional().trim(),
+  body('notes').optional().trim(),
+  body('priority').optional().isIn(['low', 'normal', 'high']),
+  body('brandNotes').optional().trim(),
+  body('accountRepId').optional({ nullable: true }).isInt().toInt(),
+  body('terms').optional().trim().isLength({ max: 5000 })
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const side = req.relationshipSide;
+    const otherSide = side === 'retailer' ? 'brand' : 'retailer';
+    const foreignFields = RELATIONSHIP_SIDE_FIELDS[otherSide].filter(field => req.body[field] !== undefined);
+    if (foreignFields.length > 0) {
+      return res.status(403).json({ 
+        error: `Only the ${otherSide} can change ${foreignFields.join(', ')}`,
+        code: 'PERMISSION_DENIED',
+        fields: foreignFields
+      });
+    }
+
+    const { partnershipType, notes, priority, startedDate, brandNotes, accountRepId, terms, reason } = req.body;
+    const fromStatus = req.relationship.status;
+    // Setting the current status again is a no-op rather than a transition
+    const status = req.body.status === fromStatus ? undefined : req.body.status;
+    const allowed = allowedRelationshipTransitions(fromStatus, side);
+
+    if (status && !allowed.includes(status)) {
+      return res.status(400).json({ 
+        error: `Cannot move a relationship from ${fromStatus} to ${status}`,
+        code: 'INVALID_TRANSITION',
+        allowed
+      });
+    }
+
+    if (RELATIONSHIP_REASON_REQUIRED.includes(status) && !reason) {
+      return res.status(400).json({ 
+        error: `A reason is required to move a relationship to ${status}`,
+        code: 'REASON_REQUIRED'
+      });
+    }
+
+    if (accountRepId !== undefined && accountRepId !== null && !(await getOrgRole(accountRepId, req.relationship.brand_organization_id))) {
+      return res.status(400).json({ 
+        error: 'The account rep must be a member of the brand\'s organization',
+        code: 'INVALID_ACCOUNT_REP'
+      });
+    }
+    
+    // Conditional on the status we validated against so concurrent changes can't skip the rules; the
+    // history row is written in the same transaction
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE brand_retailer_relationships 
+        SET status = COALESCE($1, status),
+            partnership_type = COALESCE($2, partnership_type),
+            notes = COALESCE($3, notes),
+            priority = COALESCE($4, priority),
+            started_date = COALESCE($5, started_date, CASE WHEN $1 = 'active' THEN CURRENT_DATE END),
+            brand_notes = COALESCE($6, brand_notes),
+            account_rep_id = CASE WHEN $7 THEN $8 ELSE account_rep_id END,
+            terms = COALESCE($9, terms),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $10 AND status IS NOT DISTINCT FROM $11 
+        RETURNING *
+      `, [status, partnershipType, notes, priority, startedDate, brandNotes, accountRepId !== undefined, accountRepId ?? null, terms, id, fromStatus]);
+
+      if (updated.rows.length > 0 && status) {
+        await recordRelationshipStatus(client, req.relationship.id, fromStatus, status, req.user.id, reason);
+      }
+      return updated;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ 
+        error: 'The relationship changed while you were updating it',
+        code: 'CONFLICT'
+      });
+    }
+
+    await logActivity(req.user.id, 'RELATIONSHIP_UPDATED', 'brand_retailer_relationship', parseInt(id), {
+      side,
+      updatedFields: side === 'retailer' 
+        ? { status, partnershipType, notes, priority } 
+        : { status, brandNotes, accountRepId, terms },
+      statusChange: status ? { from: fromStatus, to: status, reason } : undefined
+    }, req);
+
+    await publishRelationshipEvent('relationship:updated', result.rows[0], req.user.id, {
+      previousStatus: status ? fromStatus : undefined,
+      side
+    });
+
+    // Field edits stay on the editor's side; only status changes concern the other party
+    if (status) {
+      await notifyPartnershipSides(relationshipParties(result.rows[0]), req.user.id, (counterpart) => ({
+        type: 'relationship_status_changed',
+        title: `Relationship with ${counterpart} is now ${status}`,
+        body: reason || null,
+        entityType: 'brand_retailer_relationship',
+        entityId: result.rows[0].id,
+        data: { from: fromStatus, to: status }
+      }));
+    }
+
+    res.json({
+      message: 'Relationship updated successfully',
+      relationship: relationshipForSide(result.rows[0], side)
+    });
+
+  } catch (error) {
+    logger.error('Relationship update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update relationship', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/relationships/:id', authenticateToken, requirePermission('relationships:write', resolveRelationship), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await pool.query('DELETE FROM brand_retailer_relationships WHERE id = $1', [id]);
+
+    await logActivity(req.user.id, 'RELATIONSHIP_DELETED', 'brand_retailer_relationship', parseInt(id), {
+      brandId: req.relationship.brand_id,
+      retailerOrganizationId: req.relationship.retailer_organization_id
+    }, req);
+
+    await publishRelationshipEvent('relationship:deleted', req.relationship, req.user.id);
+    await notifyPartnershipSides(relationshipParties(req.relationship), req.user.id, (counterpart) => ({
+      type: 'relationship_deleted',
+      title: `Relationship with ${counterpart} was removed`,
+      entityType: 'brand_retailer_relationship',
+      entityId: req.relationship.id
+    }));
+
+    res.json({ message: 'Relationship deleted successfully' });
+
+  } catch (error) {
+    logger.error('Relationship deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete relationship', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/relationships/:id/history', authenticateToken, requirePermission('relationships:read', resolveRelationshipParty), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT h.id, h.from_status, h.to_status, h.reason, h.changed_by, h.created_at, 
+             u.first_name, u.last_name, u.email 
+      FROM relationship_status_history h 
+      LEFT JOIN users u ON h.changed_by = u.id 
+      WHERE h.relationship_id = $1 
+      ORDER BY h.created_at DESC, h.id DESC
+    `, [req.relationship.id]);
+
+    res.json({
+      status: req.relationship.status,
+      allowedTransitions: allowedRelationshipTransitions(req.relationship.status, req.relationshipSide),
+      history: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Relationship history fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch relationship history', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// PARTNERSHIP REQUEST ROUTES (brands pitch retailers; the retailer's acceptance creates the relationship)
+const PARTNERSHIP_REQUEST_ASSET_COLUMNS = 'a.id, a.original_name, a.file_type, a.file_size, a.file_url, a.description, a.category';
+
+async function getPartnershipRequestAssets(requestIds) {
+  const result = await pool.query(`
+    SELECT pra.request_id, ${PARTNERSHIP_REQUEST_ASSET_COLUMNS} 
+    FROM partnership_request_assets pra 
+    JOIN brand_assets a ON pra.asset_id = a.id 
+    WHERE pra.request_id = ANY($1) 
+    ORDER BY a.original_name
+  `, [requestIds]);
+  return result.rows;
+}
+
+async function withPartnershipRequestAssets(requests) {
+  const assets = await getPartnershipRequestAssets(requests.map(request => request.id));
+  return requests.map(request => ({
+    ...request,
+    assets: assets.filter(asset => asset.request_id === request.id).map(({ request_id, ...asset }) => asset)
+  }));
+}
+
+app.post('/api/brands/:brandId/partnership-requests', authenticateToken, requirePermission('relationships:write', resolveBrand), [
+  body('retailerId').isInt().toInt(),
+  body('message').trim().isLength({ min: 1, max: 5000 }),
+  body('partnershipType').optional().trim().isLength({ max: 100 }),
+  body('assetIds').optional().isArray({ max: 20 }),
+  body('assetIds.*').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { retailerId, message, partnershipType } = req.body;
+    const assetIds = [...new Set(req.body.assetIds || [])];
+
+    const retailerResult = await pool.query(
+      'SELECT id, name, organization_id FROM retailers WHERE id = $1 AND organization_id IS NOT NULL',
+      [retailerId]
+    );
+    if (retailerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Retailer not found' });
+    }
+    const retailer = retailerResult.rows[0];
+
+    const existingResult = await pool.query(
+      'SELECT id, status FROM brand_retailer_relationships WHERE brand_id = $1 AND retailer_organization_id = $2',
+      [req.brand.id, retailer.organization_id]
+    );
+    if (existingResult.rows.length > 0) {
+      return res.status(400).json({ 
+        error: `${req.brand.name} already has a relationship with ${retailer.name}`,
+        code: 'RELATIONSHIP_EXISTS',
+        relationshipStatus: existingResult.rows[0].status
+      });
+    }
+
+    const pendingResult = await pool.query(
+      `SELECT id FROM partnership_requests WHERE brand_id = $1 AND retailer_organization_id = $2 AND status = 'pending'`,
+      [req.brand.id, retailer.organization_id]
+    );
+    if (pendingResult.rows.length > 0) {
+      return res.status(409).json({ 
+        error: `${retailer.name} hasn't answered your last request yet`,
+        code: 'REQUEST_PENDING',
+        requestId: pendingResult.rows[0].id
+      });
+    }
+
+    if (assetIds.length > 0) {
+      const assetsResult = await pool.query(
+        'SELECT id FROM brand_assets WHERE brand_id = $1 AND id = ANY($2)',
+        [req.brand.id, assetIds]
+      );
+      if (assetsResult.rows.length !== assetIds.length) {
+        return res.status(400).json({ 
+          error: 'Attached assets must belong to this brand',
+          code: 'INVALID_ASSET'
+        });
+      }
+    }
+
+    // The request and its attachments together; a half-attached request would block resending it
+    const request = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO partnership_requests (brand_id, retailer_organization_id, message, partnership_type, created_by) 
+        VALUES ($1, $2, $3, $4, $5) RETURNING *
+      `, [req.brand.id, retailer.organization_id, message, partnershipType || null, req.user.id]);
+
+      for (const assetId of assetIds) {
+        await client.query(
+          'INSERT INTO partnership_request_assets (request_id, asset_id) VALUES ($1, $2)',
+          [result.rows[0].id, assetId]
+        );
+      }
+      return result.rows[0];
+    });
+
+    await logActivity(req.user.id, 'PARTNERSHIP_REQUEST_SENT', 'partnership_request', request.id, {
+      brandId: req.brand.id,
+      retailerOrganizationId: retailer.organization_id,
+      assetCount: assetIds.length
+    }, req);
+
+    await notifyOrganizations([retailer.organization_id], 'partnership_updates', req.user.id, {
+      type: 'partnership_request_received',
+      title: `${req.brand.name} sent you a partnership request`,
+      body: message,
+      entityType: 'partnership_request',
+      entityId: request.id
+    });
+
+    const [withAssets] = await withPartnershipRequestAssets([request]);
+    res.json({
+      message: 'Partnership request sent successfully',
+      request: withAssets
+    });
+
+  } catch (error) {
+    // Lost a race with a concurrent request to the same retailer (idx_partnership_requests_open)
+    if (error.code === '23505') {
+      return res.status(409).json({ 
+        error: 'A partnership request to this retailer is already pending',
+        code: 'REQUEST_PENDING'
+      });
+    }
+    logger.error('Partnership request creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send partnership request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Requests the brand has sent, newest first
+app.get('/api/brands/:brandId/partnership-requests', authenticateToken, requirePermission('relationships:read', resolveBrand), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const result = await pool.query(`
+      SELECT pr.*, org.name as retailer_name 
+      FROM partnership_requests pr 
+      JOIN organizations org ON pr.retailer_organization_id = org.id 
+      WHERE pr.brand_id = $1 AND ($2::VARCHAR IS NULL OR pr.status = $2) 
+      ORDER BY pr.created_at DESC
+    `, [req.brand.id, status || null]);
+
+    res.json({ requests: await withPartnershipRequestAssets(result.rows) });
+
+  } catch (error) {
+    logger.error('Partnership requests fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch partnership requests', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Requests received by the user's retailer organizations
+app.get('/api/partnership-requests', authenticateToken, requirePermission('relationships:list'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const result = await pool.query(`
+      SELECT pr.*, b.name as brand_name, b.description as brand_description, b.industry, 
+             b.logo_url as brand_logo_url, b.is_verified 
+      FROM partnership_requests pr 
+      JOIN brands b ON pr.brand_id = b.id 
+      WHERE pr.retailer_organization_id IN ${memberOrgsSql('$1')} AND ($2::VARCHAR IS NULL OR pr.status = $2) 
+      ORDER BY pr.created_at DESC
+    `, [req.user.id, status || null]);
+
+    res.json({ requests: await withPartnershipRequestAssets(result.rows) });
+
+  } catch (error) {
+    logger.error('Partnership requests fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch partnership requests', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/partnership-requests/:id', authenticateToken, requirePermission('relationships:read', resolvePartnershipRequest), async (req, res) => {
+  try {
+    const [request] = await withPartnershipRequestAssets([req.partnershipRequest]);
+
+    res.json({ request: { ...request, side: req.requestSide } });
+
+  } catch (error) {
+    logger.error('Partnership request fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch partnership request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Retailer side: accepting creates an active relationship with the brand
+app.post('/api/partnership-requests/:id/respond', authenticateToken, requirePermission('relationships:write', resolvePartnershipRequest), [
+  body('decision').isIn(['accept', 'decline']),
+  body('message').optional().trim().isLength({ max: 5000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const request = req.partnershipRequest;
+    const { decision, message } = req.body;
+
+    if (req.requestSide !== 'retailer') {
+      return res.status(403).json({ 
+        error: 'Only the retailer can respond to a partnership request',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ 
+        error: `This request has already been ${request.status}`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    if (decision === 'accept') {
+      const existingResult = await pool.query(
+        'SELECT id FROM brand_retailer_relationships WHERE brand_id = $1 AND retailer_organization_id = $2',
+        [request.brand_id, request.retailer_organization_id]
+      );
+      if (existingResult.rows.length > 0) {
+        return res.status(400).json({ 
+          error: 'Your organization already has a relationship with this brand',
+          code: 'RELATIONSHIP_EXISTS',
+          relationshipId: existingResult.rows[0].id
+        });
+      }
+    }
+
+    // Conditional on the request still being pending so it can't be answered twice. Accepting also
+    // creates the relationship, all in one transaction.
+    const outcome = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE partnership_requests 
+        SET status = $1, response_message = $2, responded_by = $3, responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $4 AND status = 'pending' 
+        RETURNING *
+      `, [decision === 'accept' ? 'accepted' : 'declined', message || null, req.user.id, request.id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+      if (decision !== 'accept') {
+        return { updated: result.rows[0], relationship: null };
+      }
+
+      const relationshipResult = await client.query(`
+        INSERT INTO brand_retailer_relationships (brand_id, retailer_id, retailer_organization_id, status, partnership_type, started_date, created_by) 
+        VALUES ($1, $2, $3, 'active', $4, CURRENT_DATE, $2) RETURNING *
+      `, [request.brand_id, req.user.id, request.retailer_organization_id, request.partnership_type]);
+      const created = relationshipResult.rows[0];
+
+      await recordRelationshipStatus(client, created.id, null, 'active', req.user.id, `Accepted partnership request ${request.id}`);
+
+      const linkResult = await client.query(
+        'UPDATE partnership_requests SET relationship_id = $1 WHERE id = $2 RETURNING *',
+        [created.id, request.id]
+      );
+      return { updated: linkResult.rows[0], relationship: created };
+    });
+
+    if (!outcome) {
+      return res.status(409).json({ 
+        error: 'The request changed while you were responding to it',
+        code: 'CONFLICT'
+      });
+    }
+
+    const { updated, relationship } = outcome;
+
+    await logActivity(req.user.id, decision === 'accept' ? 'PARTNERSHIP_REQUEST_ACCEPTED' : 'PARTNERSHIP_REQUEST_DECLINED', 'partnership_request', request.id, {
+      brandId: request.brand_id,
+      relationshipId: relationship ? relationship.id : undefined
+    }, req);
+
+    if (relationship) {
+      await publishRelationshipEvent('relationship:created', relationship, req.user.id, { partnershipRequestId: request.id });
+    }
+
+    await notifyPartnershipSides({ brandId: request.brand_id, retailerOrganizationId: request.retailer_organization_id }, req.user.id, (counterpart) => ({
+      type: decision === 'accept' ? 'partnership_request_accepted' : 'partnership_request_declined',
+      title: `${counterpart} ${decision === 'accept' ? 'accepted' : 'declined'} your partnership request`,
+      body: message || null,
+      entityType: 'partnership_request',
+      entityId: request.id,
+      data: relationship ? { relationshipId: relationship.id } : null
+    }), ['brand']);
+
+    res.json({
+      message: decision === 'accept' ? 'Partnership request accepted' : 'Partnership request declined',
+      request: updated,
+      relationship: relationship && relationshipForSide(relationship, 'retailer')
+    });
+
+  } catch (error) {
+    // The relationship was created some other way after the check above
+    if (error.code === '23505') {
+      return res.status(409).json({ 
+        error: 'Your organization already has a relationship with this brand',
+        code: 'RELATIONSHIP_EXISTS'
+      });
+    }
+    logger.error('Partnership request response error:', error);
+    res.status(500).json({ 
+      error: 'Failed to respond to partnership request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Brand side: takes back a request the retailer hasn't answered
+app.post('/api/partnership-requests/:id/withdraw', authenticateToken, requirePermission('relationships:write', resolvePartnershipRequest), async (req, res) => {
+  try {
+    const request = req.partnershipRequest;
+
+    if (req.requestSide !== 'brand') {
+      return res.status(403).json({ 
+        error: 'Only the brand can withdraw a partnership request',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE partnership_requests 
+      SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND status = 'pending' 
+      RETURNING *
+    `, [request.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ 
+        error: `This request has already been ${request.status}`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    await logActivity(req.user.id, 'PARTNERSHIP_REQUEST_WITHDRAWN', 'partnership_request', request.id, {
+      brandId: request.brand_id
+    }, req);
+
+    await notifyPartnershipSides({ brandId: request.brand_id, retailerOrganizationId: request.retailer_organization_id }, req.user.id, (counterpart) => ({
+      type: 'partnership_request_withdrawn',
+      title: `${counterpart} withdrew its partnership request`,
+      entityType: 'partnership_request',
+      entityId: request.id
+    }), ['retailer']);
+
+    res.json({
+      message: 'Partnership request withdrawn',
+      request: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Partnership request withdrawal error:', error);
+    res.status(500).json({ 
+      error: 'Failed to withdraw partnership request', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// PRICE LIST ROUTES (managed by the brand side of a relationship)
+const priceListValidators = [
+  body('name').optional().isLength({ min: 1, max: 255 }).trim(),
+  body('effective_from').optional().isISO8601().toDate(),
+  body('effective_to').optional({ nullable: true }).isISO8601().toDate(),
+  body('items').optional().isArray({ max: CATALOG_IMPORT_MAX_ROWS }),
+  body('items.*.product_id').isInt().toInt(),
+  body('items.*.variant_id').optional({ nullable: true }).isInt().toInt(),
+  body('items.*.price').optional({ nullable: true }).isFloat({ min: 0, max: 99999999.99 }).toFloat()
+];
+
+// Every item must name an active product of the brand, and a variant of that product
+async function findInvalidPriceListItem(brandId, items) {
+  const productsResult = await pool.query(
+    'SELECT id FROM brand_products WHERE brand_id = $1 AND is_active = true',
+    [brandId]
+  );
+  const productIds = new Set(productsResult.rows.map(row => row.id));
+
+  const variantsResult = await pool.query(`
+    SELECT v.id, v.product_id FROM product_variants v 
+    JOIN brand_products p ON v.product_id = p.id 
+    WHERE p.brand_id = $1 AND v.is_active = true
+  `, [brandId]);
+  const variantProducts = new Map(variantsResult.rows.map(row => [row.id, row.product_id]));
+
+  const seen = new Set();
+  for (const item of items) {
+    const key = `${item.product_id}:${item.variant_id || 0}`;
+    if (seen.has(key)) {
+      return `Product ${item.product_id}${item.variant_id ? ` variant ${item.variant_id}` : ''} is listed more than once`;
+    }
+    seen.add(key);
+
+    if (!productIds.has(item.product_id)) {
+      return `Product ${item.product_id} is not an active product of this brand`;
+    }
+    if (item.variant_id && variantProducts.get(item.variant_id) !== item.product_id) {
+      return `Variant ${item.variant_id} does not belong to product ${item.product_id}`;
+    }
+  }
+  return null;
+}
+
+// Price lists also decide what the retailer can see, so call this inside withTransaction: a failed
+// insert must not leave the list empty or partial
+async function replacePriceListItems(client, priceListId, items) {
+  await client.query('DELETE FROM price_list_items WHERE price_list_id = $1', [priceListId]);
+  for (const item of items) {
+    await client.query(
+      'INSERT INTO price_list_items (price_list_id, product_id, variant_id, price) VALUES ($1, $2, $3, $4)',
+      [priceListId, item.product_id, item.variant_id || null, item.price ?? null]
+    );
+  }
+}
+
+async function getPriceListItems(priceListId) {
+  const result = await pool.query(`
+    SELECT i.id, i.product_id, i.variant_id, i.price, 
+           p.name as product_name, p.sku, p.price as base_price, 
+           v.name as variant_name, v.sku as variant_sku, v.wholesale_cost as base_variant_price
+    FROM price_list_items i 
+    JOIN brand_products p ON i.product_id = p.id 
+    LEFT JOIN product_variants v ON i.variant_id = v.id 
+    WHERE i.price_list_id = $1 
+    ORDER BY p.name, v.name NULLS FIRST
+  `, [priceListId]);
+  return result.rows;
+}
+
+app.get('/api/relationships/:id/price-lists', authenticateToken, requirePermission('brand:read', resolveRelationshipBrand), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT pl.*, 
+             (SELECT COUNT(*) FROM price_list_items i WHERE i.price_list_id = pl.id) as item_count,
+             (pl.effective_from <= CURRENT_DATE AND (pl.effective_to IS NULL OR pl.effective_to >= CURRENT_DATE)) as in_effect
+      FROM price_lists pl 
+      WHERE pl.relationship_id = $1 
+      ORDER BY pl.effective_from DESC, pl.id DESC
+    `, [req.relationship.id]);
+
+    res.json({ priceLists: result.rows });
+
+  } catch (error) {
+    logger.error('Price lists fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch price lists', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/relationships/:id/price-lists/:priceListId', authenticateToken, requirePermission('brand:read', resolveRelationshipBrand), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM price_lists WHERE id = $1 AND relationship_id = $2',
+      [req.params.priceListId, req.relationship.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    res.json({
+      priceList: result.rows[0],
+      items: await getPriceListItems(result.rows[0].id)
+    });
+
+  } catch (error) {
+    logger.error('Price list fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch price list', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/relationships/:id/price-lists', authenticateToken, requirePermission('brand:write', resolveRelationshipBrand), [
+  body('name').exists(),
+  body('items').exists(),
+  ...priceListValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { name, effective_from, effective_to, items } = req.body;
+
+    if (effective_from && effective_to && effective_to < effective_from) {
+      return res.status(400).json({ 
+        error: 'effective_to must be on or after effective_from',
+        code: 'INVALID_DATES'
+      });
+    }
+
+    const invalidItem = await findInvalidPriceListItem(req.relationship.brand_id, items);
+    if (invalidItem) {
+      return res.status(400).json({ 
+        error: invalidItem,
+        code: 'INVALID_PRICE_LIST_ITEM'
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const created = await client.query(`
+        INSERT INTO price_lists (relationship_id, name, effective_from, effective_to, created_by) 
+        VALUES ($1, $2, COALESCE($3, CURRENT_DATE), $4, $5) RETURNING *
+      `, [req.relationship.id, name, effective_from, effective_to || null, req.user.id]);
+      await replacePriceListItems(client, created.rows[0].id, items);
+      return created;
+    });
+
+    await logActivity(req.user.id, 'PRICE_LIST_CREATED', 'brand_retailer_relationship', req.relationship.id, {
+      priceListId: result.rows[0].id,
+      name,
+      itemCount: items.length
+    }, req);
+
+    res.json({
+      message: 'Price list created successfully',
+      priceList: result.rows[0],
+      items: await getPriceListItems(result.rows[0].id)
+    });
+
+  } catch (error) {
+    logger.error('Price list creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create price list', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Updates the name and dates; when items are supplied they replace the whole list
+app.put('/api/relationships/:id/price-lists/:priceListId', authenticateToken, requirePermission('brand:write', resolveRelationshipBrand), priceListValidators, async (req, res) => {
+  try {
+    const { priceListId } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const existingResult = await pool.query(
+      'SELECT * FROM price_lists WHERE id = $1 AND relationship_id = $2',
+      [priceListId, req.relationship.id]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    const existing = existingResult.rows[0];
+    const { name, effective_from, items } = req.body;
+    // effective_to: null clears the end date; leaving it out keeps it
+    const effective_to = req.body.effective_to === undefined ? existing.effective_to : req.body.effective_to;
+
+    const from = effective_from || existing.effective_from;
+    if (effective_to && effective_to < from) {
+      return res.status(400).json({ 
+        error: 'effective_to must be on or after effective_from',
+        code: 'INVALID_DATES'
+      });
+    }
+
+    if (items) {
+      const invalidItem = await findInvalidPriceListItem(req.relationship.brand_id, items);
+      if (invalidItem) {
+        return res.status(400).json({ 
+          error: invalidItem,
+          code: 'INVALID_PRICE_LIST_ITEM'
+        });
+      }
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE price_lists 
+        SET name = COALESCE($1, name),
+            effective_from = $2,
+            effective_to = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4 
+        RETURNING *
+      `, [name, from, effective_to, priceListId]);
+      if (items) {
+        await replacePriceListItems(client, priceListId, items);
+      }
+      return updated;
+    });
+
+    await logActivity(req.user.id, 'PRICE_LIST_UPDATED', 'brand_retailer_relationship', req.relationship.id, {
+      priceListId: parseInt(priceListId),
+      updatedFields: { name, effective_from, effective_to, itemCount: items ? items.length : undefined }
+    }, req);
+
+    res.json({
+      message: 'Price list updated successfully',
+      priceList: result.rows[0],
+      items: await getPriceListItems(priceListId)
+    });
+
+  } catch (error) {
+    logger.error('Price list update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update price list', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.delete('/api/relationships/:id/price-lists/:priceListId', authenticateToken, requirePermission('brand:write', resolveRelationshipBrand), async (req, res) => {
+  try {
+    const { priceListId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM price_lists WHERE id = $1 AND relationship_id = $2 RETURNING name',
+      [priceListId, req.relationship.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    await logActivity(req.user.id, 'PRICE_LIST_DELETED', 'brand_retailer_relationship', req.relationship.id, {
+      priceListId: parseInt(priceListId),
+      name: result.rows[0].name
+    }, req);
+
+    res.json({ message: 'Price list deleted successfully' });
+
+  } catch (error) {
+    logger.error('Price list deletion error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete price list', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// PURCHASE ORDER ROUTES
+// Orders move submitted → confirmed → shipped → delivered. The brand confirms (filling all or part
+// of each line) or rejects a submitted order; either side can cancel until it ships.
+const ORDER_TRANSITIONS = {
+  submitted: { confirmed: 'brand', rejected: 'brand', cancelled: 'either' },
+  confirmed: { shipped: 'brand', cancelled: 'either' },
+  shipped: { delivered: 'either' },
+  delivered: {},
+  rejected: {},
+  cancelled: {}
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+const ORDER_MAX_LINES = 500;
+
+// Money is summed in cents so line totals don't pick up floating point drift
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// The tier with the highest minimum quantity the order reaches, if any
+const tierPrice = (variant, quantity) => [...variant.price_tiers].reverse()
+  .find(tier => tier.min_quantity <= quantity)?.unit_price ?? null;
+
+// Prices the requested lines on the server. A price on the relationship's price list wins, then the
+// variant's volume tiers, then its wholesale cost; products sold without variants use their own price.
+// Returns { error } for the first line that can't be ordered.
+async function priceOrderLines(relationship, lines) {
+  const priceList = await getRelationshipPriceList(relationship.id);
+
+  const productsResult = await pool.query(
+    'SELECT * FROM brand_products WHERE brand_id = $1 AND id = ANY($2) AND is_active = true',
+    [relationship.brand_id, lines.map(line => line.product_id)]
+  );
+  // Unlisted products and variants drop out here, so they can't be ordered either
+  const products = applyPriceList(await attachVariants(productsResult.rows), priceList);
+
+  const seen = new Set();
+  const items = [];
+  for (const line of lines) {
+    const label = `Product ${line.product_id}${line.variant_id ? ` variant ${line.variant_id}` : ''}`;
+    const key = `${line.product_id}:${line.variant_id || 0}`;
+    if (seen.has(key)) {
+      return { error: `${label} is ordered more than once` };
+    }
+    seen.add(key);
+
+    const product = products.find(candidate => candidate.id === line.product_id);
+    const variant = line.variant_id ? product?.variants.find(candidate => candidate.id === line.variant_id) : null;
+    if (!product || (line.variant_id && !variant)) {
+      return { error: `${label} is not available to order` };
+    }
+
+    let unitPrice;
+    if (variant) {
+      const listed = priceList?.items.find(item => item.product_id === product.id && item.variant_id === variant.id);
+      unitPrice = listed?.price ?? tierPrice(variant, line.quantity) ?? variant.wholesale_cost;
+    } else if (product.variants.length > 0) {
+      return { error: `Product ${product.id} is sold by variant; choose one of its variants` };
+    } else {
+      unitPrice = product.effective_price;
+    }
+
+    if (unitPrice === null || unitPrice === undefined) {
+      return { error: `${label} has no price yet` };
+    }
+
+    const unitCents = toCents(unitPrice);
+    items.push({
+      product_id: product.id,
+      variant_id: variant ? variant.id : null,
+      sku: variant?.sku || product.sku,
+      product_name: product.name,
+      variant_name: variant ? variant.name : null,
+      quantity_ordered: line.quantity,
+      unit_price: fromCents(unitCents),
+      line_total: fromCents(unitCents * line.quantity)
+    });
+  }
+
+  return { items, priceList };
+}
+
+async function getOrderItems(orderId) {
+  const result = await pool.query('SELECT * FROM purchase_order_items WHERE order_id = $1 ORDER BY id', [orderId]);
+  return result.rows;
+}
+
+async function getOrderHistory(orderId) {
+  const result = await pool.query(`
+    SELECT h.id, h.from_status, h.to_status, h.note, h.changed_by, h.created_at, 
+           u.first_name, u.last_name 
+    FROM purchase_order_history h 
+    LEFT JOIN users u ON h.changed_by = u.id 
+    WHERE h.order_id = $1 
+    ORDER BY h.created_at, h.id
+  `, [orderId]);
+  return result.rows;
+}
+
+// Written in the same transaction as the change it records
+async function recordOrderStatus(client, orderId, fromStatus, toStatus, userId, note = null) {
+  await client.query(
+    'INSERT INTO purchase_order_history (order_id, from_status, to_status, note, changed_by) VALUES ($1, $2, $3, $4, $5)',
+    [orderId, fromStatus, toStatus, note || null, userId]
+  );
+}
+
+// Orders placed by the user's retailer organizations and orders received by their brands
+app.get('/api/orders', authenticateToken, requirePermission('orders:list'), [
+  ...paginationValidators(),
+  query('relationshipId').optional().isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { status, relationshipId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let where = `WHERE (o.retailer_organization_id IN ${memberOrgsSql('$1')} OR b.organization_id IN ${memberOrgsSql('$1')})`;
+    const params = [req.user.id];
+
+    if (status) {
+      params.push(status);
+      where += ` AND o.status = $${params.length}`;
+    }
+
+    if (relationshipId) {
+      params.push(relationshipId);
+      where += ` AND o.relationship_id = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT o.*, b.name as brand_name, org.name as retailer_name, 
+             CASE WHEN o.retailer_organization_id IN ${memberOrgsSql('$1')} THEN 'retailer' ELSE 'brand' END as side,
+             (SELECT COUNT(*) FROM purchase_order_items i WHERE i.order_id = o.id) as line_count
+      FROM purchase_orders o 
+      JOIN brands b ON o.brand_id = b.id 
+      JOIN organizations org ON o.retailer_organization_id = org.id 
+      ${where} 
+      ORDER BY o.created_at DESC, o.id DESC 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) FROM purchase_orders o 
+      JOIN brands b ON o.brand_id = b.id 
+      ${where}
+    `, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      orders: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Orders fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch orders', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.get('/api/orders/:id', authenticateToken, requirePermission('orders:read', resolvePurchaseOrder), async (req, res) => {
+  try {
+    res.json({
+      order: { ...req.order, side: req.orderSide },
+      items: await getOrderItems(req.order.id),
+      history: await getOrderHistory(req.order.id)
+    });
+
+  } catch (error) {
+    logger.error('Order fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch order', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Retailer side: submits an order against the relationship's brand
+app.post('/api/relationships/:id/orders', authenticateToken, requirePermission('orders:write', resolveRelationship), [
+  body('items').isArray({ min: 1, max: ORDER_MAX_LINES }),
+  body('items.*.product_id').isInt().toInt(),
+  body('items.*.variant_id').optional({ nullable: true }).isInt().toInt(),
+  body('items.*.quantity').isInt({ min: 1, max: 1000000 }).toInt(),
+  body('notes').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const relationship = req.relationship;
+    if (relationship.status !== 'active') {
+      return res.status(400).json({ 
+        error: 'Orders can only be placed on active relationships',
+        code: 'RELATIONSHIP_NOT_ACTIVE'
+      });
+    }
+
+    const { items, error, priceList } = await priceOrderLines(relationship, req.body.items);
+    if (error) {
+      return res.status(400).json({ 
+        error,
+        code: 'INVALID_ORDER_ITEM'
+      });
+    }
+
+    const total = fromCents(items.reduce((sum, item) => sum + toCents(item.line_total), 0));
+
+    // Header, lines and first history entry together, so the lines always add up to total_amount
+    const order = await withTransaction(async (client) => {
+      const insertResult = await client.query(`
+        INSERT INTO purchase_orders (relationship_id, brand_id, retailer_organization_id, price_list_id, ordered_amount, total_amount, notes, created_by) 
+        VALUES ($1, $2, $3, $4, $5, $5, $6, $7) RETURNING id
+      `, [relationship.id, relationship.brand_id, relationship.retailer_organization_id, priceList ? priceList.id : null, total, req.body.notes || null, req.user.id]);
+
+      const orderResult = await client.query(
+        `UPDATE purchase_orders SET order_number = 'PO-' || LPAD(id::text, 6, '0') WHERE id = $1 RETURNING *`,
+        [insertResult.rows[0].id]
+      );
+      const created = orderResult.rows[0];
+
+      for (const item of items) {
+        await client.query(`
+          INSERT INTO purchase_order_items (order_id, product_id, variant_id, sku, product_name, variant_name, quantity_ordered, unit_price, line_total) 
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [created.id, item.product_id, item.variant_id, item.sku, item.product_name, item.variant_name, item.quantity_ordered, item.unit_price, item.line_total]);
+      }
+
+      await recordOrderStatus(client, created.id, null, 'submitted', req.user.id, req.body.notes);
+      return created;
+    });
+
+    await logActivity(req.user.id, 'ORDER_SUBMITTED', 'purchase_order', order.id, {
+      orderNumber: order.order_number,
+      relationshipId: relationship.id,
+      brandId: relationship.brand_id,
+      lineCount: items.length,
+      total
+    }, req);
+
+    res.json({
+      message: 'Order submitted successfully',
+      order,
+      items: await getOrderItems(order.id)
+    });
+
+  } catch (error) {
+    logger.error('Order submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit order', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Moves an order along ORDER_TRANSITIONS. Confirming may pass items: [{ item_id, quantity_confirmed }]
+// to fill part of the order; lines left out are confirmed in full.
+app.put('/api/orders/:id/status', authenticateToken, requirePermission('orders:write', resolvePurchaseOrder), [
+  body('status').isIn(ORDER_STATUSES),
+  body('note').optional().trim().isLength({ max: 2000 }),
+  body('note').if(body('status').equals('rejected')).trim().isLength({ min: 1 }).withMessage('A note is required when rejecting an order'),
+  body('items').optional().isArray({ max: ORDER_MAX_LINES }),
+  body('items.*.item_id').isInt().toInt(),
+  body('items.*.quantity_confirmed').isInt({ min: 0 }).toInt(),
+  body('carrier').optional().trim().isLength({ max: 100 }),
+  body('tracking_number').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const order = req.order;
+    const { status, note, items: fills, carrier, tracking_number } = req.body;
+    const allowedSide = ORDER_TRANSITIONS[order.status][status];
+
+    if (!allowedSide) {
+      return res.status(400).json({ 
+        error: `A ${order.status} order cannot be marked ${status}`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    if (allowedSide !== 'either' && allowedSide !== req.orderSide) {
+      return res.status(403).json({ 
+        error: `Only the ${allowedSide} can mark an order ${status}`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (fills && status !== 'confirmed') {
+      return res.status(400).json({ 
+        error: 'Line quantities can only be set when confirming an order',
+        code: 'INVALID_FILL'
+      });
+    }
+
+    const orderItems = await getOrderItems(order.id);
+    const confirmedQuantities = new Map(orderItems.map(item => [item.id, item.quantity_ordered]));
+
+    for (const fill of fills || []) {
+      const ordered = confirmedQuantities.get(fill.item_id);
+      if (ordered === undefined) {
+        return res.status(400).json({ 
+          error: `Item ${fill.item_id} is not part of this order`,
+          code: 'INVALID_FILL'
+        });
+      }
+      if (fill.quantity_confirmed > ordered) {
+        return res.status(400).json({ 
+          error: `Item ${fill.item_id} can't be confirmed beyond the ${ordered} ordered`,
+          code: 'INVALID_FILL'
+        });
+      }
+      confirmedQuantities.set(fill.item_id, fill.quantity_confirmed);
+    }
+
+    if (status === 'confirmed' && [...confirmedQuantities.values()].every(quantity => quantity === 0)) {
+      return res.status(400).json({ 
+        error: 'Nothing would be confirmed; reject the order instead',
+        code: 'INVALID_FILL'
+      });
+    }
+
+    const partial = status === 'confirmed' && orderItems.some(item => confirmedQuantities.get(item.id) < item.quantity_ordered);
+
+    // Status, line fills, recomputed total and history land together or not at all
+    const updatedOrder = await withTransaction(async (client) => {
+      // Conditional on the current status so two people can't move the same order at once
+      const result = await client.query(`
+        UPDATE purchase_orders 
+        SET status = $1, 
+            carrier = COALESCE($2, carrier), 
+            tracking_number = COALESCE($3, tracking_number), 
+            updated_at = CURRENT_TIMESTAMP 
+        WHERE id = $4 AND status = $5 
+        RETURNING *
+      `, [status, carrier, tracking_number, order.id, order.status]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      let updated = result.rows[0];
+
+      if (status === 'confirmed') {
+        for (const item of orderItems) {
+          const quantity = confirmedQuantities.get(item.id);
+          await client.query(
+            'UPDATE purchase_order_items SET quantity_confirmed = $1, line_total = $2 WHERE id = $3',
+            [quantity, fromCents(toCents(item.unit_price) * quantity), item.id]
+          );
+        }
+
+        const totalResult = await client.query(`
+          UPDATE purchase_orders 
+          SET total_amount = (SELECT COALESCE(SUM(line_total), 0) FROM purchase_order_items WHERE order_id = $1) 
+          WHERE id = $1 
+          RETURNING *
+        `, [order.id]);
+        updated = totalResult.rows[0];
+      }
+
+      await recordOrderStatus(client, order.id, order.status, status, req.user.id, note);
+      return updated;
+    });
+
+    if (!updatedOrder) {
+      return res.status(409).json({ 
+        error: 'The order changed while you were updating it',
+        code: 'CONFLICT'
+      });
+    }
+
+    await logActivity(req.user.id, `ORDER_${status.toUpperCase()}`, 'purchase_order', order.id, {
+      orderNumber: order.order_number,
+      fromStatus: order.status,
+      side: req.orderSide,
+      partial: partial || undefined,
+      total: updatedOrder.total_amount
+    }, req);
+
+    res.json({
+      message: `Order ${status}`,
+      order: { ...updatedOrder, side: req.orderSide },
+      items: await getOrderItems(order.id),
+      history: await getOrderHistory(order.id)
+    });
+
+  } catch (error) {
+    logger.error('Order status update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update order', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// MESSAGING ROUTES (threads between the brand and retailer sides of a relationship)
+const MESSAGE_ATTACHMENT_COLUMNS = 'id, message_id, original_name, file_type, file_size, created_at';
+const MESSAGE_MAX_LENGTH = 10000;
+
+const messageValidators = [
+  body('body').optional().trim().isLength({ max: MESSAGE_MAX_LENGTH })
+];
+
+// Uploaded files are already on disk by the time a request is rejected (or its rows rolled back)
+function discardUploads(files) {
+  for (const file of files || []) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Stores a message with its uploaded attachments and moves the sender's read marker past it. Runs
+// inside the caller's transaction so a failed attachment insert leaves no message behind.
+async function createMessage(client, thread, req) {
+  const messageResult = await client.query(
+    'INSERT INTO messages (thread_id, sender_id, sender_side, body) VALUES ($1, $2, $3, $4) RETURNING *',
+    [thread.id, req.user.id, req.relationshipSide, req.body.body || '']
+  );
+  const message = messageResult.rows[0];
+
+  const attachments = [];
+  for (const file of req.files || []) {
+    const attachmentResult = await client.query(`
+      INSERT INTO message_attachments (message_id, filename, original_name, file_type, file_size, file_path) 
+      VALUES ($1, $2, $3, $4, $5, $6) 
+      RETURNING ${MESSAGE_ATTACHMENT_COLUMNS}
+    `, [message.id, file.filename, file.originalname, file.mimetype, file.size, file.path]);
+    attachments.push(attachmentResult.rows[0]);
+  }
+
+  await client.query('UPDATE message_threads SET last_message_at = $1 WHERE id = $2', [message.created_at, thread.id]);
+  await markThreadRead(client, thread.id, req.user.id, message.id);
+
+  return { ...message, attachments };
+}
+
+// Read markers only move forward
+async function markThreadRead(db, threadId, userId, messageId) {
+  await db.query(`
+    INSERT INTO message_reads (thread_id, user_id, last_read_message_id) VALUES ($1, $2, $3) 
+    ON CONFLICT (thread_id, user_id) DO UPDATE 
+    SET last_read_message_id = GREATEST(message_reads.last_read_message_id, EXCLUDED.last_read_message_id), 
+        read_at = CURRENT_TIMESTAMP
+  `, [threadId, userId, messageId]);
+}
+
+// Messages from other people past the user's read marker, per thread; $1 is the user
+const unreadCountSql = (threadColumn) => `
+  (SELECT COUNT(*) FROM messages um 
+   WHERE um.thread_id = ${threadColumn} AND um.sender_id IS DISTINCT FROM $1 
+   AND um.id > COALESCE((SELECT last_read_message_id FROM message_reads 
+                         WHERE thread_id = ${threadColumn} AND user_id = $1), 0))
+`;
+
+app.get('/api/relationships/:id/threads', authenticateToken, requirePermission('relationships:read', resolveRelationshipParty), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.*, 
+             (SELECT COUNT(*) FROM messages m WHERE m.thread_id = t.id) as message_count,
+             ${unreadCountSql('t.id')} as unread_count,
+             lm.body as last_message_body, lm.sender_side as last_message_side, 
+             lu.first_name as last_sender_first_name, lu.last_name as last_sender_last_name
+      FROM message_threads t 
+      LEFT JOIN LATERAL (
+        SELECT body, sender_side, sender_id FROM messages WHERE thread_id = t.id ORDER BY id DESC LIMIT 1
+      ) lm ON true 
+      LEFT JOIN users lu ON lm.sender_id = lu.id 
+      WHERE t.relationship_id = $2 
+      ORDER BY t.last_message_at DESC
+    `, [req.user.id, req.relationship.id]);
+
+    res.json({ threads: result.rows });
+
+  } catch (error) {
+    logger.error('Threads fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch threads', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Starts a thread with its first message; multipart so the message can carry files
+app.post('/api/relationships/:id/threads', authenticateToken, requirePermission('relationships:write', resolveRelationshipParty), messageUpload.array('files', 10), [
+  body('subject').trim().isLength({ min: 1, max: 255 }),
+  ...messageValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      discardUploads(req.files);
       return res.status(400).json({ 
         error: 'Validation failed', 
         details: errors.array() 
       });
     }
 
-    const { email, password } = req.body;
-    logger.info('ROLLodex login attempt', { email });
-
-    const result = await pool.query('SELECT * FROM users WHERE email = $1 AND is_active = true', [email]);
-    const user = result.rows[0];
-
-    if (!user) {
-      logger.warn('Login failed - user not found', { email });
-      return res.status(401).json({ 
-        error: 'Invalid credentials',
-        code: 'INVALID_CREDENTIALS'
+    if (!req.body.body && (!req.files || req.files.length === 0)) {
+      return res.status(400).json({ 
+        error: 'A message needs text or at least one attachment',
+        code: 'EMPTY_MESSAGE'
       });
     }
 
-    const validPassword = await bcrypt.compare(password, user.password_hash);
-    if (!validPassword) {
-      logger.warn('Login failed - invalid password', { email });
-      await logActivity(user.id, 'LOGIN_FAILED', 'user', user.id, { reason: 'invalid_password' }, req);
-      return res.status(401).json({ 
-        error: 'Invalid credentials',
-        code: 'INVALID_CREDENTIALS'
-      });
-    }
+    // The files are only discarded once nothing refers to them, i.e. when the transaction rolled back
+    const { thread, message } = await withTransaction(async (client) => {
+      const threadResult = await client.query(
+        'INSERT INTO message_threads (relationship_id, subject, created_by) VALUES ($1, $2, $3) RETURNING *',
+        [req.relationship.id, req.body.subject, req.user.id]
+      );
+      return { thread: threadResult.rows[0], message: await createMessage(client, threadResult.rows[0], req) };
+    }).catch(error => {
+      discardUploads(req.files);
+      throw error;
+    });
 
-    // Update last login
-    await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    await logActivity(req.user.id, 'MESSAGE_THREAD_CREATED', 'message_thread', thread.id, {
+      relationshipId: req.relationship.id,
+      side: req.relationshipSide,
+      attachmentCount: message.attachments.length
+    }, req);
 
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role,
-        companyName: user.company_name,
-        companyType: user.company_type
-      },
-      process.env.JWT_SECRET || 'rollodx-secret-key',
-      { expiresIn: '24h' }
-    );
+    res.json({
+      message: 'Thread started successfully',
+      thread: { ...thread, last_message_at: message.created_at },
+      messages: [message]
+    });
+
+  } catch (error) {
+    logger.error('Thread creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start thread', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// Messages oldest first; pass ?before=<message id> to page back through long threads
+app.get('/api/threads/:threadId/messages', authenticateToken, requirePermission('relationships:read', resolveMessageThread), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const before = parseInt(req.query.before) || null;
 
-    await logActivity(user.id, 'LOGIN_SUCCESS', 'user', user.id, { ip: req.ip }, req);
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT m.*, u.first_name, u.last_name 
+        FROM messages m 
+        LEFT JOIN users u ON m.sender_id = u.id 
+        WHERE m.thread_id = $1 AND ($2::INTEGER IS NULL OR m.id < $2) 
+        ORDER BY m.id DESC 
+        LIMIT $3
+      ) page 
+      ORDER BY id
+    `, [req.thread.id, before, limit + 1]);
+
+    const hasMore = result.rows.length > limit;
+    const messages = hasMore ? result.rows.slice(1) : result.rows;
+
+    const attachmentsResult = await pool.query(
+      `SELECT ${MESSAGE_ATTACHMENT_COLUMNS} FROM message_attachments WHERE message_id = ANY($1) ORDER BY id`,
+      [messages.map(message => message.id)]
+    );
 
-    logger.info('ROLLodx login successful', { userId: user.id, email });
+    const readsResult = await pool.query(`
+      SELECT mr.user_id, mr.last_read_message_id, mr.read_at, u.first_name, u.last_name 
+      FROM message_reads mr 
+      JOIN users u ON mr.user_id = u.id 
+      WHERE mr.thread_id = $1
+    `, [req.thread.id]);
 
+    // A message has been read by everyone other than its sender whose marker has reached it
     res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        companyName: user.company_name,
-        companyType: user.company_type,
-        phone: user.phone,
-        title: user.title,
-        emailVerified: user.email_verified
-      }
+      thread: { id: req.thread.id, relationship_id: req.thread.relationship_id, subject: req.thread.subject, created_at: req.thread.created_at },
+      messages: messages.map(message => ({
+        ...message,
+        attachments: attachmentsResult.rows.filter(attachment => attachment.message_id === message.id),
+        read_by: readsResult.rows
+          .filter(read => read.user_id !== message.sender_id && read.last_read_message_id >= message.id)
+          .map(read => ({ user_id: read.user_id, first_name: read.first_name, last_name: read.last_name, read_at: read.read_at }))
+      })),
+      reads: readsResult.rows,
+      hasMore
     });
 
   } catch (error) {
-    logger.error('ROLLodx login error:', error);
+    logger.error('Messages fetch error:', error);
     res.status(500).json({ 
-      error: 'Login failed', 
+      error: 'Failed to fetch messages', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.post('/api/auth/register', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('firstName').isLength({ min: 1 }).trim(),
-  body('lastName').isLength({ min: 1 }).trim(),
-  body('companyName').isLength({ min: 1 }).trim(),
-  body('companyType').isIn(['retailer', 'brand'])
-], async (req, res) => {
+app.post('/api/threads/:threadId/messages', authenticateToken, requirePermission('relationships:write', resolveMessageThread), messageUpload.array('files', 10), messageValidators, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      discardUploads(req.files);
       return res.status(400).json({ 
         error: 'Validation failed', 
         details: errors.array() 
       });
     }
 
-    const { email, password, firstName, lastName, companyName, companyType, phone, title } = req.body;
-
-    // Check if user exists
-    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (existing.rows.length > 0) {
+    if (!req.body.body && (!req.files || req.files.length === 0)) {
       return res.status(400).json({ 
-        error: 'An account with this email already exists',
-        code: 'EMAIL_EXISTS'
+        error: 'A message needs text or at least one attachment',
+        code: 'EMPTY_MESSAGE'
       });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 12);
-    const role = companyType === 'retailer' ? 'retailer_admin' : 'brand_admin';
+    const message = await withTransaction(client => createMessage(client, req.thread, req)).catch(error => {
+      discardUploads(req.files);
+      throw error;
+    });
 
-    const result = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role, company_name, company_type, phone, title) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id
-    `, [email, hashedPassword, firstName, lastName, role, companyName, companyType, phone || null, title || null]);
+    await logActivity(req.user.id, 'MESSAGE_SENT', 'message_thread', req.thread.id, {
+      relationshipId: req.thread.relationship_id,
+      messageId: message.id,
+      side: req.relationshipSide,
+      attachmentCount: message.attachments.length
+    }, req);
 
-    const userId = result.rows[0].id;
+    res.json({
+      message: 'Message sent successfully',
+      messages: [message]
+    });
 
-    // Create associated retailer or brand profile
-    if (companyType === 'retailer') {
-      await pool.query(`
-        INSERT INTO retailers (name, description, owner_id) 
-        VALUES ($1, $2, $3)
-      `, [companyName, `Retailer profile for ${companyName}`, userId]);
-    } else {
-      await pool.query(`
-        INSERT INTO brands (name, description, profile_completion_score, owner_id) 
-        VALUES ($1, $2, $3, $4)
-      `, [companyName, `Brand profile for ${companyName}`, 25, userId]);
-    }
+  } catch (error) {
+    logger.error('Message send error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send message', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
 
-    // Create notification preferences
-    await pool.query(`
-      INSERT INTO notification_preferences (user_id) VALUES ($1)
-    `, [userId]);
+// Marks the thread read up to messageId, or up to its latest message
+app.post('/api/threads/:threadId/read', authenticateToken, requirePermission('relationships:read', resolveMessageThread), [
+  body('messageId').optional().isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
 
-    const token = jwt.sign(
-      { 
-        id: userId, 
-        email, 
-        role,
-        companyName,
-        companyType
-      },
-      process.env.JWT_SECRET || 'rollodx-secret-key',
-      { expiresIn: '24h' }
+    const messageResult = await pool.query(
+      'SELECT MAX(id) as id FROM messages WHERE thread_id = $1 AND ($2::INTEGER IS NULL OR id <= $2)',
+      [req.thread.id, req.body.messageId || null]
     );
+    const lastReadId = messageResult.rows[0].id;
 
-    await logActivity(userId, 'USER_REGISTERED', 'user', userId, { email, role }, req);
+    if (lastReadId) {
+      await markThreadRead(pool, req.thread.id, req.user.id, lastReadId);
+    }
 
-    logger.info('ROLLodx user registered successfully', { userId, email, companyType });
+    res.json({ message: 'Thread marked as read', lastReadMessageId: lastReadId });
 
-    res.json({
-      token,
-      user: {
-        id: userId,
-        email,
-        firstName,
-        lastName,
-        role,
-        companyName,
-        companyType,
-        phone,
-        title,
-        emailVerified: false
-      }
+  } catch (error) {
+    logger.error('Thread read error:', error);
+    res.status(500).json({ 
+      error: 'Failed to mark thread as read', 
+      code: 'SERVER_ERROR'
     });
+  }
+});
+
+app.get('/api/threads/:threadId/attachments/:attachmentId', authenticateToken, requirePermission('relationships:read', resolveMessageThread), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT a.* FROM message_attachments a 
+      JOIN messages m ON a.message_id = m.id 
+      WHERE a.id = $1 AND m.thread_id = $2
+    `, [req.params.attachmentId, req.thread.id]);
+
+    if (result.rows.length === 0 || !fs.existsSync(result.rows[0].file_path)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.download(result.rows[0].file_path, result.rows[0].original_name);
 
   } catch (error) {
-    logger.error('ROLLodx registration error:', error);
+    logger.error('Attachment download error:', error);
     res.status(500).json({ 
-      error: 'Registration failed', 
+      error: 'Failed to download attachment', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-// USER ROUTES
-app.get('/api/users/profile', authenticateToken, async (req, res) => {
+// Unread messages across every relationship the user is part of, on either side
+app.get('/api/messages/unread', authenticateToken, requirePermission('relationships:list'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT id, email, first_name, last_name, role, company_name, company_type, 
-             phone, title, is_active, email_verified, last_login, created_at, updated_at 
-      FROM users WHERE id = $1
+      SELECT t.relationship_id, SUM(${unreadCountSql('t.id')})::INTEGER as unread_count 
+      FROM message_threads t 
+      JOIN brand_retailer_relationships r ON t.relationship_id = r.id 
+      JOIN brands b ON r.brand_id = b.id 
+      WHERE r.retailer_organization_id IN ${memberOrgsSql('$1')} OR b.organization_id IN ${memberOrgsSql('$1')} 
+      GROUP BY t.relationship_id
     `, [req.user.id]);
-    
-    const user = result.rows[0];
-    if (!user) {
-      return res.status(404).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
+
+    const relationships = result.rows.filter(row => row.unread_count > 0);
 
     res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        companyName: user.company_name,
-        companyType: user.company_type,
-        phone: user.phone,
-        title: user.title,
-        isActive: user.is_active,
-        emailVerified: user.email_verified,
-        lastLogin: user.last_login,
-        createdAt: user.created_at,
-        updatedAt: user.updated_at
-      }
+      unreadCount: relationships.reduce((sum, row) => sum + row.unread_count, 0),
+      relationships
     });
 
   } catch (error) {
-    logger.error('Profile fetch error:', error);
+    logger.error('Unread count fetch error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch profile', 
+      error: 'Failed to fetch unread messages', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.put('/api/users/profile', authenticateToken, [
-  body('firstName').optional().isLength({ min: 1 }).trim(),
-  body('lastName').optional().isLength({ min: 1 }).trim(),
-  body('phone').optional().trim(),
-  body('title').optional().trim()
-], async (req, res) => {
+// Get available industries for filtering
+app.get('/api/industries', authenticateToken, requirePermission('brands:browse'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT industry 
+      FROM brands 
+      WHERE industry IS NOT NULL AND industry != '' 
+      ORDER BY industry
+    `);
+
+    const industries = result.rows.map(row => row.industry);
+    res.json({ industries });
+
+  } catch (error) {
+    logger.error('Industries fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch industries', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// NOTIFICATION ROUTES (always scoped to the signed-in user)
+app.get('/api/notifications', authenticateToken, requirePermission('account:read'), paginationValidators(), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -786,122 +8011,139 @@ app.put('/api/users/profile', authenticateToken, [
       });
     }
 
-    const { firstName, lastName, phone, title } = req.body;
-    
+    const { unread, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = unread === 'true' ? 'WHERE user_id = $1 AND read_at IS NULL' : 'WHERE user_id = $1';
+
     const result = await pool.query(`
-      UPDATE users 
-      SET first_name = COALESCE($1, first_name),
-          last_name = COALESCE($2, last_name),
-          phone = COALESCE($3, phone),
-          title = COALESCE($4, title),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $5 
-      RETURNING id, email, first_name, last_name, role, company_name, company_type, phone, title
-    `, [firstName, lastName, phone, title, req.user.id]);
+      SELECT * FROM notifications 
+      ${where} 
+      ORDER BY created_at DESC, id DESC 
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total_count, COUNT(*) FILTER (WHERE read_at IS NULL) as unread_count 
+      FROM notifications ${where}
+    `, [req.user.id]);
+    const totalCount = parseInt(countResult.rows[0].total_count);
+
+    res.json({
+      notifications: result.rows,
+      unreadCount: parseInt(countResult.rows[0].unread_count),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    logger.error('Notifications fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch notifications', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/notifications/read-all', authenticateToken, requirePermission('account:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updatedCount: result.rowCount
+    });
+
+  } catch (error) {
+    logger.error('Notifications mark-all-read error:', error);
+    res.status(500).json({ 
+      error: 'Failed to mark notifications as read', 
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+app.post('/api/notifications/:id/read', authenticateToken, requirePermission('account:write'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) 
+      WHERE id = $1 AND user_id = $2 
+      RETURNING *
+    `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
+      return res.status(404).json({ error: 'Notification not found' });
     }
 
-    await logActivity(req.user.id, 'PROFILE_UPDATED', 'user', req.user.id, { 
-      updatedFields: { firstName, lastName, phone, title } 
-    }, req);
-
-    const user = result.rows[0];
     res.json({
-      message: 'Profile updated successfully',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        companyName: user.company_name,
-        companyType: user.company_type,
-        phone: user.phone,
-        title: user.title
-      }
+      message: 'Notification marked as read',
+      notification: result.rows[0]
     });
 
   } catch (error) {
-    logger.error('Profile update error:', error);
+    logger.error('Notification mark-read error:', error);
     res.status(500).json({ 
-      error: 'Failed to update profile', 
+      error: 'Failed to mark notification as read', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-// BRAND ROUTES
-app.get('/api/brands', authenticateToken, async (req, res) => {
-  try {
-    const { search, industry, page = 1, limit = 20 } = req.query;
+// ADMIN ROUTES (platform operators)
+app.get('/api/admin/users', authenticateToken, requirePermission('platform:users:read'), paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { search, role, status, page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
 
-    let query = `
-      SELECT b.*, u.company_name as owner_company, u.first_name, u.last_name,
-             COUNT(DISTINCT p.id) as product_count,
-             COUNT(DISTINCT r.id) as relationship_count
-      FROM brands b
-      LEFT JOIN users u ON b.owner_id = u.id
-      LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
-      LEFT JOIN brand_retailer_relationships r ON b.id = r.brand_id
-      WHERE b.is_public = true
-    `;
-    
+    let where = 'WHERE 1=1';
     const params = [];
-    let paramCount = 0;
 
     if (search) {
-      paramCount++;
-      query += ` AND (b.name ILIKE $${paramCount} OR b.description ILIKE $${paramCount})`;
       params.push(`%${search}%`);
+      where += ` AND (u.email ILIKE $${params.length} OR u.first_name ILIKE $${params.length} 
+                 OR u.last_name ILIKE $${params.length} OR u.company_name ILIKE $${params.length})`;
     }
 
-    if (industry) {
-      paramCount++;
-      query += ` AND b.industry = $${paramCount}`;
-      params.push(industry);
-    }
-
-    query += ` 
-      GROUP BY b.id, u.company_name, u.first_name, u.last_name
-      ORDER BY b.profile_completion_score DESC, b.created_at DESC
-      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
-    `;
-    
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
-
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) FROM brands b WHERE b.is_public = true';
-    const countParams = [];
-    let countParamCount = 0;
-
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND (b.name ILIKE $${countParamCount} OR b.description ILIKE $${countParamCount})`;
-      countParams.push(`%${search}%`);
+    if (role) {
+      params.push(role);
+      where += ` AND u.role = $${params.length}`;
     }
 
-    if (industry) {
-      countParamCount++;
-      countQuery += ` AND b.industry = $${countParamCount}`;
-      countParams.push(industry);
+    if (status === 'active' || status === 'inactive') {
+      params.push(status === 'active');
+      where += ` AND u.is_active = $${params.length}`;
     }
 
-    const countResult = await pool.query(countQuery, countParams);
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.company_name, u.company_type, 
+             u.is_active, u.email_verified, u.two_factor_enabled, u.last_login, u.created_at
+      FROM users u 
+      ${where} 
+      ORDER BY u.created_at DESC 
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM users u ${where}`, params);
     const totalCount = parseInt(countResult.rows[0].count);
 
-    // Log search activity
-    await logActivity(req.user.id, 'BRANDS_SEARCHED', 'brand', null, { search, industry, resultCount: result.rows.length }, req);
-
     res.json({
-      brands: result.rows,
+      users: result.rows,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalCount / limit),
@@ -912,525 +8154,359 @@ app.get('/api/brands', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Brands fetch error:', error);
+    logger.error('Admin users fetch error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch brands', 
+      error: 'Failed to fetch users', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.get('/api/brands/:id', authenticateToken, async (req, res) => {
+app.get('/api/admin/users/:id', authenticateToken, requirePermission('platform:users:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query(`
-      SELECT b.*, u.company_name as owner_company, u.first_name, u.last_name, u.email as owner_email,
-             COUNT(DISTINCT p.id) as product_count,
-             COUNT(DISTINCT r.id) as relationship_count,
-             COUNT(DISTINCT a.id) as asset_count
-      FROM brands b
-      LEFT JOIN users u ON b.owner_id = u.id
-      LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
-      LEFT JOIN brand_retailer_relationships r ON b.id = r.brand_id
-      LEFT JOIN brand_assets a ON b.id = a.brand_id
-      WHERE b.id = $1 AND (b.is_public = true OR b.owner_id = $2)
-      GROUP BY b.id, u.company_name, u.first_name, u.last_name, u.email
-    `, [id, req.user.id]);
+    const userResult = await pool.query(`
+      SELECT id, email, first_name, last_name, role, company_name, company_type, phone, title, 
+             is_active, email_verified, two_factor_enabled, last_login, created_at, updated_at
+      FROM users WHERE id = $1
+    `, [id]);
 
-    if (result.rows.length === 0) {
+    if (userResult.rows.length === 0) {
       return res.status(404).json({ 
-        error: 'Brand not found or access denied',
-        code: 'BRAND_NOT_FOUND'
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
       });
     }
 
-    // Get products
-    const productsResult = await pool.query(`
-      SELECT * FROM brand_products 
-      WHERE brand_id = $1 AND is_active = true 
-      ORDER BY created_at DESC LIMIT 10
+    const organizationsResult = await pool.query(`
+      SELECT o.id, o.name, o.org_type, m.role 
+      FROM organization_members m 
+      JOIN organizations o ON m.organization_id = o.id 
+      WHERE m.user_id = $1 
+      ORDER BY o.name
     `, [id]);
 
-    // Get assets (if user has access)
-    const assetsResult = await pool.query(`
-      SELECT id, filename, original_name, file_type, file_size, description, category, 
-             permission_level, download_count, is_featured, created_at
-      FROM brand_assets 
-      WHERE brand_id = $1 
-      AND (permission_level = 'public' OR $2 = $3)
-      ORDER BY is_featured DESC, created_at DESC LIMIT 10
-    `, [id, req.user.id, result.rows[0].owner_id]);
-
-    await logActivity(req.user.id, 'BRAND_VIEWED', 'brand', parseInt(id), null, req);
+    const activityResult = await pool.query(`
+      SELECT action, entity_type, entity_id, metadata, ip_address, created_at 
+      FROM activity_log 
+      WHERE user_id = $1 
+      ORDER BY created_at DESC LIMIT 25
+    `, [id]);
 
     res.json({
-      brand: result.rows[0],
-      products: productsResult.rows,
-      assets: assetsResult.rows
+      user: userResult.rows[0],
+      organizations: organizationsResult.rows,
+      recentActivity: activityResult.rows
     });
 
   } catch (error) {
-    logger.error('Brand fetch error:', error);
+    logger.error('Admin user fetch error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch brand', 
+      error: 'Failed to fetch user', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.put('/api/brands/:id', authenticateToken, [
-  body('name').optional().isLength({ min: 1 }).trim(),
-  body('description').optional().trim(),
-  body('industry').optional().trim(),
-  body('website').optional().isURL(),
-  body('email').optional().isEmail(),
-  body('phone').optional().trim()
+app.post('/api/admin/users/:id/deactivate', authenticateToken, requirePermission('platform:users:write'), [
+  body('reason').optional().trim()
 ], async (req, res) => {
   try {
     const { id } = req.params;
-    const errors = validationResult(req);
-    
-    if (!errors.isEmpty()) {
+
+    if (parseInt(id) === req.user.id) {
       return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: errors.array() 
+        error: 'You cannot deactivate your own account',
+        code: 'CANNOT_DEACTIVATE_SELF'
       });
     }
 
-    // Verify ownership
-    const brandCheck = await pool.query('SELECT owner_id FROM brands WHERE id = $1', [id]);
-    if (brandCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Brand not found' });
-    }
-    
-    if (brandCheck.rows[0].owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Unauthorized to edit this brand' });
-    }
+    const result = await pool.query(`
+      UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 AND role <> 'platform_admin' 
+      RETURNING id, email
+    `, [id]);
 
-    const { name, description, industry, website, email, phone, address, city, state, country, postal_code } = req.body;
-    
-    // Calculate completion score
-    const fields = [name, description, industry, website, email, phone, address, city, state];
-    const completedFields = fields.filter(field => field && field.trim().length > 0).length;
-    const completion_score = Math.round((completedFields / fields.length) * 100);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
 
-    const result = await pool.query(`
-      UPDATE brands 
-      SET name = COALESCE($1, name),
-          description = COALESCE($2, description),
-          industry = COALESCE($3, industry),
-          website = COALESCE($4, website),
-          email = COALESCE($5, email),
-          phone = COALESCE($6, phone),
-          address = COALESCE($7, address),
-          city = COALESCE($8, city),
-          state = COALESCE($9, state),
-          country = COALESCE($10, country),
-          postal_code = COALESCE($11, postal_code),
-          profile_completion_score = $12,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $13 
-      RETURNING *
-    `, [name, description, industry, website, email, phone, address, city, state, country, postal_code, completion_score, id]);
+    // Signing out everywhere is what actually locks a deactivated user out
+    const revokedSessions = await revokeUserSessions(result.rows[0].id);
 
-    await logActivity(req.user.id, 'BRAND_UPDATED', 'brand', parseInt(id), { 
-      updatedFields: { name, description, industry, website, email, phone } 
+    await logActivity(req.user.id, 'USER_DEACTIVATED', 'user', parseInt(id), { 
+      email: result.rows[0].email, 
+      reason: req.body.reason || null,
+      revokedSessions 
     }, req);
 
-    res.json({
-      message: 'Brand updated successfully',
-      brand: result.rows[0]
-    });
+    res.json({ message: 'User deactivated successfully' });
 
   } catch (error) {
-    logger.error('Brand update error:', error);
+    logger.error('Admin user deactivate error:', error);
     res.status(500).json({ 
-      error: 'Failed to update brand', 
+      error: 'Failed to deactivate user', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-// Get my brands (for brand owners)
-app.get('/api/brands/my/brands', authenticateToken, async (req, res) => {
+app.post('/api/admin/users/:id/activate', authenticateToken, requirePermission('platform:users:write'), async (req, res) => {
   try {
-    if (!req.user.role.includes('brand')) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const { id } = req.params;
 
     const result = await pool.query(`
-      SELECT b.*, 
-             COUNT(DISTINCT p.id) as product_count,
-             COUNT(DISTINCT r.id) as relationship_count,
-             COUNT(DISTINCT a.id) as asset_count
-      FROM brands b
-      LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
-      LEFT JOIN brand_retailer_relationships r ON b.id = r.brand_id
-      LEFT JOIN brand_assets a ON b.id = a.brand_id
-      WHERE b.owner_id = $1
-      GROUP BY b.id
-      ORDER BY b.created_at DESC
-    `, [req.user.id]);
+      UPDATE users SET is_active = true, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 
+      RETURNING id, email
+    `, [id]);
 
-    res.json({ brands: result.rows });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    await logActivity(req.user.id, 'USER_ACTIVATED', 'user', parseInt(id), { email: result.rows[0].email }, req);
+
+    res.json({ message: 'User activated successfully' });
 
   } catch (error) {
-    logger.error('My brands fetch error:', error);
+    logger.error('Admin user activate error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch brands', 
+      error: 'Failed to activate user', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-// ASSET ROUTES
-app.post('/api/brands/:brandId/assets', authenticateToken, upload.array('files', 10), async (req, res) => {
+// Support impersonation: a short-lived access token for the user, with no refresh token.
+// The session is flagged in the user's session list and every action taken with it is
+// logged with impersonatedBy.
+app.post('/api/admin/users/:id/impersonate', authenticateToken, requirePermission('platform:impersonate'), [
+  body('reason').isLength({ min: 1 }).trim()
+], async (req, res) => {
   try {
-    const { brandId } = req.params;
-    const { description, category = 'general', permission_level = 'partners_only' } = req.body;
-
-    // Verify brand ownership or admin access
-    const brandResult = await pool.query('SELECT owner_id FROM brands WHERE id = $1', [brandId]);
-    if (brandResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Brand not found' });
+    const { id } = req.params;
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
     }
 
-    const isOwner = brandResult.rows[0].owner_id === req.user.id;
-    const isAdmin = req.user.role.includes('admin');
-    
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({ error: 'Unauthorized to upload assets for this brand' });
+    if (req.user.impersonatedBy) {
+      return res.status(400).json({ 
+        error: 'End the current impersonation first',
+        code: 'ALREADY_IMPERSONATING'
+      });
     }
 
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+    const userResult = await pool.query(
+      'SELECT * FROM users WHERE id = $1 AND is_active = true AND role <> $2',
+      [id, 'platform_admin']
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
     }
 
-    const uploadedAssets = [];
+    const user = userResult.rows[0];
+    const familyId = crypto.randomUUID();
 
-    for (const file of req.files) {
-      const fileUrl = `/uploads/brands/${brandId}/${file.filename}`;
-      
-      const assetResult = await pool.query(`
-        INSERT INTO brand_assets (brand_id, filename, original_name, file_type, file_size, file_path, file_url, description, category, permission_level, uploaded_by) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *
-      `, [
-        brandId,
-        file.filename,
-        file.originalname,
-        file.mimetype,
-        file.size,
-        file.path,
-        fileUrl,
-        description || null,
-        category,
-        permission_level,
-        req.user.id
-      ]);
+    await pool.query(`
+      INSERT INTO user_sessions (user_id, jti, ip_address, user_agent, impersonated_by) 
+      VALUES ($1, $2, $3, $4, $5)
+    `, [user.id, familyId, req.ip, req.get('User-Agent'), req.user.id]);
 
-      uploadedAssets.push(assetResult.rows[0]);
+    const token = signAccessToken(user, familyId, { impersonatedBy: req.user.id });
 
-      await logActivity(req.user.id, 'ASSET_UPLOADED', 'brand_asset', assetResult.rows[0].id, {
-        brandId,
-        filename: file.originalname,
-        permission_level,
-        category
-      }, req);
-    }
+    await logActivity(req.user.id, 'IMPERSONATION_STARTED', 'user', user.id, { 
+      email: user.email, 
+      reason: req.body.reason 
+    }, req);
+    await logActivity(user.id, 'IMPERSONATED_BY_ADMIN', 'user', user.id, { 
+      impersonatedBy: req.user.id, 
+      reason: req.body.reason 
+    }, req);
 
-    logger.info('ROLLodex assets uploaded successfully', { brandId, count: uploadedAssets.length, userId: req.user.id });
+    logger.warn('ROLLodx admin impersonation started', { adminId: req.user.id, userId: user.id });
 
     res.json({
-      message: `${uploadedAssets.length} asset(s) uploaded successfully`,
-      assets: uploadedAssets
+      token,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: authUserResponse(user)
     });
 
   } catch (error) {
-    logger.error('Asset upload error:', error);
+    logger.error('Admin impersonation error:', error);
     res.status(500).json({ 
-      error: 'Failed to upload assets', 
+      error: 'Failed to impersonate user', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.get('/api/brands/:brandId/assets', authenticateToken, async (req, res) => {
+app.post('/api/admin/brands/:id/verify', authenticateToken, requirePermission('platform:brands:verify'), async (req, res) => {
   try {
-    const { brandId } = req.params;
-
-    // Check if user has access to this brand's assets
-    const brandResult = await pool.query('SELECT owner_id, is_public FROM brands WHERE id = $1', [brandId]);
-    if (brandResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Brand not found' });
-    }
+    const { id } = req.params;
 
-    const isOwner = brandResult.rows[0].owner_id === req.user.id;
-    const isPublicBrand = brandResult.rows[0].is_public;
+    const result = await pool.query(`
+      UPDATE brands 
+      SET is_verified = true, verified_at = CURRENT_TIMESTAMP, verified_by = $1, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $2 
+      RETURNING *
+    `, [req.user.id, id]);
 
-    let assetsQuery = `
-      SELECT * FROM brand_assets 
-      WHERE brand_id = $1 
-    `;
-    
-    if (!isOwner) {
-      if (isPublicBrand) {
-        assetsQuery += ` AND permission_level IN ('public', 'partners_only')`;
-      } else {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Brand not found' });
     }
 
-    assetsQuery += ` ORDER BY is_featured DESC, created_at DESC`;
-
-    const result = await pool.query(assetsQuery, [brandId]);
+    await logActivity(req.user.id, 'BRAND_VERIFIED', 'brand', parseInt(id), null, req);
 
-    res.json({ assets: result.rows });
+    res.json({
+      message: 'Brand verified successfully',
+      brand: result.rows[0]
+    });
 
   } catch (error) {
-    logger.error('Assets fetch error:', error);
+    logger.error('Admin brand verify error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch assets', 
+      error: 'Failed to verify brand', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.delete('/api/brands/:brandId/assets/:assetId', authenticateToken, async (req, res) => {
+app.post('/api/admin/brands/:id/unverify', authenticateToken, requirePermission('platform:brands:verify'), [
+  body('reason').optional().trim()
+], async (req, res) => {
   try {
-    const { brandId, assetId } = req.params;
-
-    // Verify ownership
-    const assetResult = await pool.query(`
-      SELECT a.*, b.owner_id 
-      FROM brand_assets a 
-      JOIN brands b ON a.brand_id = b.id 
-      WHERE a.id = $1 AND a.brand_id = $2
-    `, [assetId, brandId]);
-
-    if (assetResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Asset not found' });
-    }
+    const { id } = req.params;
 
-    if (assetResult.rows[0].owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Unauthorized to delete this asset' });
-    }
+    const result = await pool.query(`
+      UPDATE brands 
+      SET is_verified = false, verified_at = NULL, verified_by = NULL, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 
+      RETURNING *
+    `, [id]);
 
-    // Delete file from disk
-    const filePath = assetResult.rows[0].file_path;
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Brand not found' });
     }
 
-    // Delete from database
-    await pool.query('DELETE FROM brand_assets WHERE id = $1', [assetId]);
-
-    await logActivity(req.user.id, 'ASSET_DELETED', 'brand_asset', parseInt(assetId), {
-      brandId: parseInt(brandId),
-      filename: assetResult.rows[0].original_name
-    }, req);
+    await logActivity(req.user.id, 'BRAND_UNVERIFIED', 'brand', parseInt(id), { reason: req.body.reason || null }, req);
 
-    res.json({ message: 'Asset deleted successfully' });
+    res.json({
+      message: 'Brand verification removed',
+      brand: result.rows[0]
+    });
 
   } catch (error) {
-    logger.error('Asset deletion error:', error);
+    logger.error('Admin brand unverify error:', error);
     res.status(500).json({ 
-      error: 'Failed to delete asset', 
+      error: 'Failed to unverify brand', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-// ANALYTICS ROUTES
-app.get('/api/analytics/dashboard', authenticateToken, async (req, res) => {
+// Verification review queue; defaults to requests awaiting a decision
+app.get('/api/admin/verification-requests', authenticateToken, requirePermission('platform:brands:verify'), async (req, res) => {
   try {
-    const stats = {};
-
-    if (req.user.role.includes('retailer')) {
-      // Retailer analytics
-      const relationshipsResult = await pool.query(
-        'SELECT COUNT(*) as total, status FROM brand_retailer_relationships WHERE retailer_id = $1 GROUP BY status',
-        [req.user.id]
-      );
-
-      const totalBrandsResult = await pool.query(
-        'SELECT COUNT(DISTINCT brand_id) as total FROM brand_retailer_relationships WHERE retailer_id = $1',
-        [req.user.id]
-      );
-
-      const recentActivityResult = await pool.query(`
-        SELECT COUNT(*) as count 
-        FROM activity_log 
-        WHERE user_id = $1 AND created_at > NOW() - INTERVAL '7 days'
-      `, [req.user.id]);
-
-      stats.relationships = relationshipsResult.rows.reduce((acc, row) => {
-        acc[row.status] = parseInt(row.total);
-        return acc;
-      }, {});
-
-      stats.totalBrands = parseInt(totalBrandsResult.rows[0]?.total || 0);
-      stats.recentActivity = parseInt(recentActivityResult.rows[0]?.count || 0);
-
-    } else if (req.user.role.includes('brand')) {
-      // Brand analytics
-      const brandResult = await pool.query('SELECT id FROM brands WHERE owner_id = $1', [req.user.id]);
-      
-      if (brandResult.rows.length > 0) {
-        const brandId = brandResult.rows[0].id;
-
-        const relationshipsResult = await pool.query(
-          'SELECT COUNT(*) as total, status FROM brand_retailer_relationships WHERE brand_id = $1 GROUP BY status',
-          [brandId]
-        );
-
-        const assetsResult = await pool.query(
-          'SELECT COUNT(*) as total, SUM(download_count) as total_downloads FROM brand_assets WHERE brand_id = $1',
-          [brandId]
-        );
-
-        const productsResult = await pool.query(
-          'SELECT COUNT(*) as total FROM brand_products WHERE brand_id = $1 AND is_active = true',
-          [brandId]
-        );
-
-        stats.relationships = relationshipsResult.rows.reduce((acc, row) => {
-          acc[row.status] = parseInt(row.total);
-          return acc;
-        }, {});
-
-        stats.totalAssets = parseInt(assetsResult.rows[0]?.total || 0);
-        stats.totalDownloads = parseInt(assetsResult.rows[0]?.total_downloads || 0);
-        stats.totalProducts = parseInt(productsResult.rows[0]?.total || 0);
-      }
-    }
+    const { status = 'submitted' } = req.query;
 
-    res.json({ stats });
+    const result = await pool.query(`
+      SELECT r.id, r.brand_id, r.status, r.notes, r.submitted_at, r.reviewed_at, r.review_comments, r.created_at,
+             b.name as brand_name, b.website as brand_website, b.is_verified,
+             u.email as submitted_by_email,
+             (SELECT COUNT(*) FROM brand_verification_documents d WHERE d.request_id = r.id) as document_count
+      FROM brand_verification_requests r 
+      JOIN brands b ON r.brand_id = b.id 
+      LEFT JOIN users u ON r.submitted_by = u.id 
+      WHERE r.status = $1 
+      ORDER BY COALESCE(r.submitted_at, r.created_at)
+    `, [status]);
+
+    res.json({ requests: result.rows });
 
   } catch (error) {
-    logger.error('Analytics fetch error:', error);
+    logger.error('Admin verification requests fetch error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch analytics', 
+      error: 'Failed to fetch verification requests', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-// RELATIONSHIPS ROUTES
-app.get('/api/relationships', authenticateToken, async (req, res) => {
+app.get('/api/admin/verification-requests/:id', authenticateToken, requirePermission('platform:brands:verify'), async (req, res) => {
   try {
-    let query;
-    let params = [req.user.id];
+    const { id } = req.params;
 
-    if (req.user.role.includes('retailer')) {
-      // Get relationships from retailer perspective
-      query = `
-        SELECT r.*, b.name as brand_name, b.description as brand_description, 
-               b.industry, b.website, b.profile_completion_score, b.is_verified,
-               u.first_name, u.last_name, u.email as brand_contact_email,
-               COUNT(DISTINCT p.id) as product_count,
-               COUNT(DISTINCT a.id) as asset_count
-        FROM brand_retailer_relationships r
-        JOIN brands b ON r.brand_id = b.id
-        JOIN users u ON b.owner_id = u.id
-        LEFT JOIN brand_products p ON b.id = p.brand_id AND p.is_active = true
-        LEFT JOIN brand_assets a ON b.id = a.brand_id
-        WHERE r.retailer_id = $1
-        GROUP BY r.id, b.id, b.name, b.description, b.industry, b.website, b.profile_completion_score, b.is_verified, u.first_name, u.last_name, u.email
-        ORDER BY r.priority DESC, r.updated_at DESC
-      `;
-    } else {
-      // Get relationships from brand perspective
-      query = `
-        SELECT r.*, ret.name as retailer_name, ret.description as retailer_description,
-               ret.industry as retailer_industry, ret.website as retailer_website,
-               u.first_name, u.last_name, u.email as retailer_contact_email
-        FROM brand_retailer_relationships r
-        JOIN brands b ON r.brand_id = b.id
-        LEFT JOIN retailers ret ON r.retailer_id = ret.owner_id
-        JOIN users u ON r.retailer_id = u.id
-        WHERE b.owner_id = $1
-        ORDER BY r.priority DESC, r.updated_at DESC
-      `;
+    const result = await pool.query(`
+      SELECT r.*, b.name as brand_name, b.description as brand_description, b.website as brand_website, 
+             b.email as brand_email, b.phone as brand_phone, b.is_verified
+      FROM brand_verification_requests r 
+      JOIN brands b ON r.brand_id = b.id 
+      WHERE r.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Verification request not found' });
     }
 
-    const result = await pool.query(query, params);
-    res.json({ relationships: result.rows });
+    res.json({
+      request: result.rows[0],
+      documents: await getVerificationDocuments([result.rows[0].id])
+    });
 
   } catch (error) {
-    logger.error('Relationships fetch error:', error);
+    logger.error('Admin verification request fetch error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch relationships', 
+      error: 'Failed to fetch verification request', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.post('/api/relationships', authenticateToken, [
-  body('brandId').isInt(),
-  body('status').isIn(['prospective', 'pending', 'active', 'inactive']),
-  body('partnershipType').optional().trim(),
-  body('notes').optional().trim(),
-  body('priority').optional().isIn(['low', 'normal', 'high'])
-], async (req, res) => {
+app.get('/api/admin/verification-requests/:id/documents/:documentId', authenticateToken, requirePermission('platform:brands:verify'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: errors.array() 
-      });
-    }
-
-    const { brandId, status, partnershipType, notes, priority = 'normal' } = req.body;
-
-    // Verify brand exists and is accessible
-    const brandResult = await pool.query('SELECT id FROM brands WHERE id = $1 AND is_public = true', [brandId]);
-    if (brandResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Brand not found or not accessible' });
-    }
+    const { id, documentId } = req.params;
 
-    // Check if relationship already exists
-    const existingResult = await pool.query(
-      'SELECT id FROM brand_retailer_relationships WHERE brand_id = $1 AND retailer_id = $2',
-      [brandId, req.user.id]
+    const result = await pool.query(
+      'SELECT * FROM brand_verification_documents WHERE id = $1 AND request_id = $2',
+      [documentId, id]
     );
 
-    if (existingResult.rows.length > 0) {
-      return res.status(400).json({ error: 'Relationship already exists' });
+    if (result.rows.length === 0 || !fs.existsSync(result.rows[0].file_path)) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    const result = await pool.query(`
-      INSERT INTO brand_retailer_relationships (brand_id, retailer_id, status, partnership_type, notes, priority, created_by) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
-    `, [brandId, req.user.id, status, partnershipType, notes, priority, req.user.id]);
-
-    await logActivity(req.user.id, 'RELATIONSHIP_CREATED', 'brand_retailer_relationship', result.rows[0].id, {
-      brandId,
-      status,
-      partnershipType,
-      priority
-    }, req);
-
-    res.json({
-      message: 'Relationship created successfully',
-      relationship: result.rows[0]
-    });
+    res.download(result.rows[0].file_path, result.rows[0].original_name);
 
   } catch (error) {
-    logger.error('Relationship creation error:', error);
+    logger.error('Admin verification document download error:', error);
     res.status(500).json({ 
-      error: 'Failed to create relationship', 
+      error: 'Failed to download document', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.put('/api/relationships/:id', authenticateToken, [
-  body('status').optional().isIn(['prospective', 'pending', 'active', 'inactive']),
-  body('partnershipType').optional().trim(),
-  body('notes').optional().trim(),
-  body('priority').optional().isIn(['low', 'normal', 'high'])
+app.post('/api/admin/verification-requests/:id/review', authenticateToken, requirePermission('platform:brands:verify'), [
+  body('decision').isIn(['approved', 'rejected']),
+  body('comments').if(body('decision').equals('rejected')).trim().isLength({ min: 1 }),
+  body('comments').optional().trim()
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -1443,96 +8519,139 @@ app.put('/api/relationships/:id', authenticateToken, [
       });
     }
 
-    // Verify ownership
-    const relationshipResult = await pool.query(
-      'SELECT * FROM brand_retailer_relationships WHERE id = $1 AND retailer_id = $2',
-      [id, req.user.id]
-    );
+    const { decision, comments } = req.body;
 
-    if (relationshipResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Relationship not found or access denied' });
+    const requestResult = await pool.query('SELECT * FROM brand_verification_requests WHERE id = $1', [id]);
+    if (requestResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Verification request not found' });
+    }
+
+    const current = requestResult.rows[0];
+    if (!canTransitionVerification(current.status, decision)) {
+      return res.status(400).json({ 
+        error: `A ${current.status} verification request cannot be ${decision}`,
+        code: 'INVALID_TRANSITION'
+      });
     }
 
-    const { status, partnershipType, notes, priority, startedDate } = req.body;
-    
     const result = await pool.query(`
-      UPDATE brand_retailer_relationships 
-      SET status = COALESCE($1, status),
-          partnership_type = COALESCE($2, partnership_type),
-          notes = COALESCE($3, notes),
-          priority = COALESCE($4, priority),
-          started_date = COALESCE($5, started_date),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $6 
+      UPDATE brand_verification_requests 
+      SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_comments = $3, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $4 AND status = $5 
       RETURNING *
-    `, [status, partnershipType, notes, priority, startedDate, id]);
+    `, [decision, req.user.id, comments || null, id, current.status]);
 
-    await logActivity(req.user.id, 'RELATIONSHIP_UPDATED', 'brand_retailer_relationship', parseInt(id), {
-      updatedFields: { status, partnershipType, notes, priority }
+    if (result.rows.length === 0) {
+      return res.status(409).json({ 
+        error: 'The verification request changed while you were reviewing it',
+        code: 'CONFLICT'
+      });
+    }
+
+    const request = result.rows[0];
+
+    const brandResult = decision === 'approved'
+      ? await pool.query(`
+          UPDATE brands 
+          SET is_verified = true, verified_at = CURRENT_TIMESTAMP, verified_by = $1, updated_at = CURRENT_TIMESTAMP 
+          WHERE id = $2 
+          RETURNING *
+        `, [req.user.id, request.brand_id])
+      : await pool.query('SELECT * FROM brands WHERE id = $1', [request.brand_id]);
+
+    await logActivity(req.user.id, decision === 'approved' ? 'VERIFICATION_REQUEST_APPROVED' : 'VERIFICATION_REQUEST_REJECTED', 'brand_verification_request', request.id, {
+      brandId: request.brand_id,
+      comments: comments || null
     }, req);
 
+    try {
+      await sendVerificationOutcomeEmail(brandResult.rows[0], request);
+    } catch (mailError) {
+      logger.error('Verification outcome email failed to send:', mailError);
+    }
+
     res.json({
-      message: 'Relationship updated successfully',
-      relationship: result.rows[0]
+      message: `Verification request ${decision}`,
+      request
     });
 
   } catch (error) {
-    logger.error('Relationship update error:', error);
+    logger.error('Admin verification review error:', error);
     res.status(500).json({ 
-      error: 'Failed to update relationship', 
+      error: 'Failed to review verification request', 
       code: 'SERVER_ERROR'
     });
   }
 });
 
-app.delete('/api/relationships/:id', authenticateToken, async (req, res) => {
+app.get('/api/admin/stats', authenticateToken, requirePermission('platform:stats:read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const usersResult = await pool.query(`
+      SELECT COUNT(*) as total,
+             COUNT(*) FILTER (WHERE is_active) as active,
+             COUNT(*) FILTER (WHERE email_verified) as verified,
+             COUNT(*) FILTER (WHERE two_factor_enabled) as two_factor,
+             COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '7 days') as new_this_week
+      FROM users
+    `);
 
-    // Verify ownership
-    const relationshipResult = await pool.query(
-      'SELECT brand_id FROM brand_retailer_relationships WHERE id = $1 AND retailer_id = $2',
-      [id, req.user.id]
+    const brandsResult = await pool.query(`
+      SELECT COUNT(*) as total,
+             COUNT(*) FILTER (WHERE is_public) as public,
+             COUNT(*) FILTER (WHERE is_verified) as verified
+      FROM brands
+    `);
+
+    const organizationsResult = await pool.query(
+      'SELECT org_type, COUNT(*) as total FROM organizations GROUP BY org_type'
     );
 
-    if (relationshipResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Relationship not found or access denied' });
-    }
+    const relationshipsResult = await pool.query(
+      'SELECT status, COUNT(*) as total FROM brand_retailer_relationships GROUP BY status'
+    );
 
-    await pool.query('DELETE FROM brand_retailer_relationships WHERE id = $1', [id]);
+    const assetsResult = await pool.query(
+      'SELECT COUNT(*) as total, COALESCE(SUM(file_size), 0) as total_size FROM brand_assets'
+    );
 
-    await logActivity(req.user.id, 'RELATIONSHIP_DELETED', 'brand_retailer_relationship', parseInt(id), {
-      brandId: relationshipResult.rows[0].brand_id
-    }, req);
+    const sessionsResult = await pool.query(`
+      SELECT COUNT(*) as total FROM user_sessions 
+      WHERE revoked_at IS NULL AND last_seen_at > NOW() - INTERVAL '1 day'
+    `);
 
-    res.json({ message: 'Relationship deleted successfully' });
+    const toCounts = (rows, key) => rows.reduce((acc, row) => {
+      acc[row[key]] = parseInt(row.total);
+      return acc;
+    }, {});
 
-  } catch (error) {
-    logger.error('Relationship deletion error:', error);
-    res.status(500).json({ 
-      error: 'Failed to delete relationship', 
-      code: 'SERVER_ERROR'
+    res.json({
+      stats: {
+        users: {
+          total: parseInt(usersResult.rows[0].total),
+          active: parseInt(usersResult.rows[0].active),
+          emailVerified: parseInt(usersResult.rows[0].verified),
+          twoFactorEnabled: parseInt(usersResult.rows[0].two_factor),
+          newThisWeek: parseInt(usersResult.rows[0].new_this_week)
+        },
+        brands: {
+          total: parseInt(brandsResult.rows[0].total),
+          public: parseInt(brandsResult.rows[0].public),
+          verified: parseInt(brandsResult.rows[0].verified)
+        },
+        organizations: toCounts(organizationsResult.rows, 'org_type'),
+        relationships: toCounts(relationshipsResult.rows, 'status'),
+        assets: {
+          total: parseInt(assetsResult.rows[0].total),
+          totalSize: parseInt(assetsResult.rows[0].total_size)
+        },
+        activeSessions: parseInt(sessionsResult.rows[0].total)
+      }
     });
-  }
-});
-
-// Get available industries for filtering
-app.get('/api/industries', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT DISTINCT industry 
-      FROM brands 
-      WHERE industry IS NOT NULL AND industry != '' 
-      ORDER BY industry
-    `);
-
-    const industries = result.rows.map(row => row.industry);
-    res.json({ industries });
 
   } catch (error) {
-    logger.error('Industries fetch error:', error);
+    logger.error('Admin stats fetch error:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch industries', 
+      error: 'Failed to fetch stats', 
       code: 'SERVER_ERROR'
     });
   }
@@ -1593,45 +8712,108 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-const server = app.listen(PORT, async () => {
-  logger.info(`🚀 ROLLodx API server running on port ${PORT}`);
-  logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
-  
+// WEEKLY DIGEST
+// Checked hourly; each run sends the latest complete week to anyone who hasn't had it yet
+const WEEKLY_DIGEST_ENABLED = process.env.WEEKLY_DIGEST_ENABLED !== 'false';
+const WEEKLY_DIGEST_CHECK_INTERVAL = 60 * 60 * 1000;
+let weeklyDigestTimer = null;
+let weeklyDigestRunning = false;
+
+async function checkWeeklyDigest() {
+  if (weeklyDigestRunning) {
+    return;
+  }
+
+  weeklyDigestRunning = true;
   try {
-    // Initialize database
-    await initDatabase();
-    logger.info('🎉 ROLLodx API is ready and running!');
+    const result = await runWeeklyDigest({ pool, mailer, logger, frontendUrl: FRONTEND_URL });
+    if (result.queued || result.failed) {
+      logger.info('ROLLodx weekly digest run complete', result);
+    }
   } catch (error) {
-    logger.error('Failed to initialize ROLLodx database:', error);
-    // Don't exit, let it try to connect later
+    logger.error('Weekly digest run failed:', error);
+  } finally {
+    weeklyDigestRunning = false;
   }
-});
+}
+
+function startWeeklyDigest() {
+  if (!WEEKLY_DIGEST_ENABLED || weeklyDigestTimer) {
+    return;
+  }
+  checkWeeklyDigest();
+  weeklyDigestTimer = setInterval(checkWeeklyDigest, WEEKLY_DIGEST_CHECK_INTERVAL);
+  weeklyDigestTimer.unref();
+}
+
+// Start server. Requiring this file (as the test suite does) only builds `app`: nothing listens,
+// connects to the database or starts background jobs.
+function startServer() {
+  // Test database connection
+  pool.connect()
+    .then(client => {
+      logger.info('✅ ROLLodex database connected successfully');
+      client.release();
+    })
+    .catch(err => {
+      logger.error('❌ Database connection failed:', err);
+    });
+
+  const server = app.listen(PORT, async () => {
+    logger.info(`🚀 ROLLodx API server running on port ${PORT}`);
+    logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
 
-// Graceful shutdown
-const gracefulShutdown = async (signal) => {
-  logger.info(`${signal} received, shutting down ROLLodx API gracefully`);
-  
-  server.close(async () => {
     try {
-      await pool.end();
-      logger.info('ROLLodx database connections closed');
-      process.exit(0);
+      // Initialize database
+      await initDatabase();
+      mailer.start();
+      webhooks.start();
+      startWeeklyDigest();
+      logger.info('🎉 ROLLodx API is ready and running!');
     } catch (error) {
-      logger.error('Error during ROLLodx shutdown:', error);
-      process.exit(1);
+      logger.error('Failed to initialize ROLLodx database:', error);
+      // Don't exit, let it try to connect later
     }
   });
 
-  // Force close after 10 seconds
-  setTimeout(() => {
-    logger.error('Could not close ROLLodx connections in time, forcefully shutting down');
-    process.exit(1);
-  }, 10000);
-};
+  io.attach(server);
+
+  // Graceful shutdown
+  const gracefulShutdown = async (signal) => {
+    logger.info(`${signal} received, shutting down ROLLodx API gracefully`);
+
+    clearInterval(weeklyDigestTimer);
+
+    // Open sockets would otherwise keep the server from closing
+    io.disconnectSockets(true);
+    server.close(async () => {
+      try {
+        // Let a delivery in progress finish recording its result
+        await mailer.stop();
+        await webhooks.stop();
+        await pool.end();
+        logger.info('ROLLodx database connections closed');
+        process.exit(0);
+      } catch (error) {
+        logger.error('Error during ROLLodx shutdown:', error);
+        process.exit(1);
+      }
+    });
+
+    // Force close after 10 seconds
+    setTimeout(() => {
+      logger.error('Could not close ROLLodx connections in time, forcefully shutting down');
+      process.exit(1);
+    }, 10000);
+  };
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+}
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
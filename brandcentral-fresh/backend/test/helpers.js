@@ -0,0 +1,56 @@
+// Shared setup for the API tests: server.js loaded against a stubbed pg Pool, and access tokens for
+// signed-in users. Nothing here needs a database.
+const jwt = require('jsonwebtoken');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+
+// Stands in for pg's Pool. A query is answered by the most recently registered handler whose pattern
+// matches its SQL, or with no rows. Clients from connect() go through the same handlers.
+function createMockPool() {
+  const handlers = [];
+  const query = jest.fn(async (text, params = []) => {
+    const sql = typeof text === 'string' ? text : text.text;
+    const handler = handlers.find(h => h.pattern.test(sql));
+    const rows = handler ? await handler.respond(params, sql) : [];
+    return { rows, rowCount: rows.length };
+  });
+
+  return {
+    query,
+    connect: jest.fn(async () => ({ query, release: jest.fn() })),
+    end: jest.fn(async () => {}),
+    on: jest.fn(),
+    when(pattern, respond) {
+      handlers.unshift({ pattern, respond: typeof respond === 'function' ? respond : () => respond });
+    },
+    reset() {
+      handlers.length = 0;
+      query.mockClear();
+    }
+  };
+}
+
+// A fresh copy of server.js (so fresh rate limiters too) wired to a new mock pool
+function loadServer() {
+  const pool = createMockPool();
+  let app;
+  jest.isolateModules(() => {
+    jest.doMock('pg', () => ({ Pool: jest.fn(() => pool) }));
+    app = require('../server');
+  });
+  return { app, pool };
+}
+
+// Signed like issueAuthTokens does; the session it names is live once acceptSessions is registered
+function accessToken(user) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, companyType: user.companyType },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m', jwtid: 'test-session' }
+  );
+}
+
+const acceptSessions = (pool) => pool.when(/FROM user_sessions\s+WHERE jti/, [{ id: 1, stale: false }]);
+
+module.exports = { createMockPool, loadServer, accessToken, acceptSessions };
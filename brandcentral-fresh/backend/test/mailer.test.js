@@ -0,0 +1,254 @@
+// The mail pipeline without a database or SMTP server: every template renders into the layout, send()
+// queues into an in-memory stand-in for mail_outbox, and the outbox delivers through the capture
+// transport or retries with exponential backoff when the transport fails.
+const nodemailer = require('nodemailer');
+const { createMockPool } = require('./helpers');
+const { createMailer, renderTemplate } = require('../mailer');
+require('../weeklyDigest');
+
+const FROM = 'ROLLodx <noreply@rollodx.test>';
+
+const TEMPLATE_DATA = {
+  email_verification: {
+    data: { firstName: 'Ada', verifyUrl: 'https://app.rollodx.test/verify-email?token=abc' },
+    subject: 'Verify your ROLLodx email address',
+    mentions: ['Hi Ada,', 'https://app.rollodx.test/verify-email?token=abc']
+  },
+  password_reset: {
+    data: { firstName: 'Ada', resetUrl: 'https://app.rollodx.test/reset-password?token=abc' },
+    subject: 'Reset your ROLLodx password',
+    mentions: ['Hi Ada,', 'https://app.rollodx.test/reset-password?token=abc']
+  },
+  organization_invitation: {
+    data: { inviterEmail: 'owner@pureelements.test', organizationName: 'Pure Elements', role: 'admin', inviteUrl: 'https://app.rollodx.test/invitations/abc', expiresInDays: 7 },
+    subject: "You're invited to join Pure Elements on ROLLodx",
+    mentions: ['owner@pureelements.test has invited you to join Pure Elements on ROLLodx as an admin.', 'expires in 7 days']
+  },
+  brand_verification_outcome: {
+    data: { firstName: 'Ada', brandName: 'Pure Elements', approved: false, reviewComments: 'Upload a current business licence', brandUrl: 'https://app.rollodx.test/brands/1' },
+    subject: "Update on Pure Elements's ROLLodx verification request",
+    mentions: ['We were unable to verify Pure Elements', 'Upload a current business licence']
+  },
+  weekly_digest: {
+    data: {
+      frontendUrl: 'https://app.rollodx.test',
+      digest: {
+        user: { first_name: 'Ada' },
+        periodStart: new Date('2026-10-05T00:00:00Z'),
+        periodEnd: new Date('2026-10-12T00:00:00Z'),
+        assets: [{ brandId: 1, brandName: 'Pure Elements', assets: [{ id: 1, name: 'Spring catalog.pdf' }] }],
+        statusChanges: [{ relationshipId: 1, counterpart: 'Fresh Market', from: 'pending', to: 'active', reason: null }],
+        views: [{ brandId: 1, brandName: 'Pure Elements', views: 3, viewers: 2 }],
+        isEmpty: false
+      }
+    },
+    subject: 'Your ROLLodx week: Oct 5 – Oct 11',
+    mentions: ['Pure Elements: 1 new asset (Spring catalog.pdf)', 'Fresh Market: pending → active', '3 views from 2 people']
+  }
+};
+
+describe('templates', () => {
+  test.each(Object.keys(TEMPLATE_DATA))('%s renders its latest version into the layout', (name) => {
+    const { data, subject, mentions } = TEMPLATE_DATA[name];
+    const message = renderTemplate(name, data);
+
+    expect(message).toMatchObject({ template: name, version: 1, subject });
+    expect(message.html).toMatch(/^<!DOCTYPE html>/);
+    expect(message.html).toContain(`<title>${subject}</title>`);
+    for (const text of mentions) {
+      expect(message.text).toContain(text);
+    }
+    expect(message.text).toMatch(/\n--\n.+\n$/);
+  });
+
+  test('data is escaped in the HTML part', () => {
+    const message = renderTemplate('email_verification', { firstName: '<script>alert(1)</script>', verifyUrl: 'https://app.rollodx.test/?a=1&b="2"' });
+
+    expect(message.html).not.toContain('<script>');
+    expect(message.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(message.html).toContain('href="https://app.rollodx.test/?a=1&amp;b=&quot;2&quot;"');
+  });
+
+  test('unknown templates and versions are rejected', () => {
+    expect(() => renderTemplate('no_such_template', {})).toThrow('Unknown mail template: no_such_template');
+    expect(() => renderTemplate('password_reset', {}, 99)).toThrow('Unknown version 99 of mail template password_reset');
+  });
+});
+
+// mail_outbox as an array, answering the mailer's four statements. `now` is the outbox's clock, so
+// tests move time forward to make a retry due.
+function createOutbox() {
+  const pool = createMockPool();
+  const rows = [];
+  const outbox = { pool, rows, now: Date.parse('2026-10-19T09:00:00Z'), retryDelays: [] };
+
+  pool.when(/INSERT INTO mail_outbox/, ([template, templateVersion, recipient, subject, textBody, htmlBody]) => {
+    const row = {
+      id: rows.length + 1,
+      template,
+      template_version: templateVersion,
+      recipient,
+      subject,
+      text_body: textBody,
+      html_body: htmlBody,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: outbox.now,
+      last_error: null,
+      message_id: null,
+      created_at: new Date(outbox.now)
+    };
+    rows.push(row);
+    return [{ id: row.id, template, template_version: templateVersion, recipient, status: row.status, created_at: row.created_at }];
+  });
+
+  pool.when(/SET status = 'sending'/, ([limit]) => rows
+    .filter(row => row.status === 'pending' && row.next_attempt_at <= outbox.now)
+    .slice(0, limit)
+    .map(row => {
+      Object.assign(row, { status: 'sending', attempts: row.attempts + 1 });
+      return { ...row };
+    }));
+
+  pool.when(/SET status = 'sent'/, ([id, messageId]) => {
+    Object.assign(rows.find(row => row.id === id), { status: 'sent', message_id: messageId, last_error: null });
+    return [];
+  });
+
+  pool.when(/SET status = \$2/, ([id, status, delaySeconds, error]) => {
+    outbox.retryDelays.push(delaySeconds);
+    Object.assign(rows.find(row => row.id === id), { status, next_attempt_at: outbox.now + delaySeconds * 1000, last_error: error });
+    return [];
+  });
+
+  // Moves the clock to the row's next attempt and runs the outbox
+  outbox.retry = async (mailer, row) => {
+    outbox.now = row.next_attempt_at;
+    await mailer.processOutbox();
+  };
+
+  return outbox;
+}
+
+const createLogger = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+// The capture transport, failing its first `failures` deliveries
+function failFirstDeliveries(failures) {
+  const createTransport = nodemailer.createTransport;
+  jest.spyOn(nodemailer, 'createTransport').mockImplementationOnce((options) => {
+    const transport = createTransport(options);
+    let remaining = failures;
+    return {
+      sendMail: async (message) => {
+        if (remaining > 0) {
+          remaining--;
+          throw new Error('Connection refused');
+        }
+        return transport.sendMail(message);
+      }
+    };
+  });
+}
+
+describe('outbox', () => {
+  let outbox;
+  let logger;
+  let mailer;
+
+  const startMailer = () => createMailer({ pool: outbox.pool, logger, transport: 'capture', from: FROM });
+
+  beforeEach(() => {
+    outbox = createOutbox();
+    logger = createLogger();
+  });
+
+  afterEach(async () => {
+    await mailer.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('send() queues the rendered message and the outbox delivers it', async () => {
+    mailer = startMailer();
+    const data = TEMPLATE_DATA.password_reset.data;
+
+    const queued = await mailer.send('password_reset', 'ada@example.test', data);
+    expect(queued).toMatchObject({ id: 1, template: 'password_reset', template_version: 1, recipient: 'ada@example.test', status: 'pending' });
+
+    const rendered = renderTemplate('password_reset', data);
+    expect(outbox.rows[0]).toMatchObject({ subject: rendered.subject, text_body: rendered.text, html_body: rendered.html });
+
+    await mailer.processOutbox();
+
+    expect(outbox.rows[0]).toMatchObject({ status: 'sent', attempts: 1, last_error: null });
+    expect(mailer.captured).toEqual([{
+      id: 1,
+      template: 'password_reset',
+      templateVersion: 1,
+      from: FROM,
+      to: 'ada@example.test',
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      messageId: outbox.rows[0].message_id
+    }]);
+    expect(mailer.captured[0].messageId).toEqual(expect.any(String));
+  });
+
+  test('each queued message is delivered once, in order', async () => {
+    mailer = startMailer();
+
+    for (const name of Object.keys(TEMPLATE_DATA)) {
+      await mailer.send(name, `${name}@example.test`, TEMPLATE_DATA[name].data);
+    }
+    await mailer.processOutbox();
+
+    expect(mailer.captured.map(message => [message.template, message.to, message.subject])).toEqual(
+      Object.keys(TEMPLATE_DATA).map(name => [name, `${name}@example.test`, TEMPLATE_DATA[name].subject])
+    );
+    expect(outbox.rows.every(row => row.status === 'sent' && row.attempts === 1)).toBe(true);
+  });
+
+  test('a failed delivery is retried with exponential backoff until it goes through', async () => {
+    failFirstDeliveries(2);
+    mailer = startMailer();
+
+    await mailer.send('email_verification', 'ada@example.test', TEMPLATE_DATA.email_verification.data);
+    await mailer.processOutbox();
+
+    const [row] = outbox.rows;
+    expect(row).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Connection refused' });
+    expect(row.next_attempt_at - outbox.now).toBe(60 * 1000);
+    expect(mailer.captured).toHaveLength(0);
+
+    // Not due yet
+    await mailer.processOutbox();
+    expect(row.attempts).toBe(1);
+
+    await outbox.retry(mailer, row);
+    expect(row).toMatchObject({ status: 'pending', attempts: 2 });
+    expect(row.next_attempt_at - outbox.now).toBe(120 * 1000);
+
+    await outbox.retry(mailer, row);
+    expect(row).toMatchObject({ status: 'sent', attempts: 3, last_error: null });
+    expect(outbox.retryDelays).toEqual([60, 120]);
+    expect(mailer.captured.map(message => message.to)).toEqual(['ada@example.test']);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('retrying in 60s: Connection refused'));
+  });
+
+  test('a message that keeps failing is marked failed after the last attempt', async () => {
+    failFirstDeliveries(Infinity);
+    mailer = startMailer();
+
+    await mailer.send('email_verification', 'ada@example.test', TEMPLATE_DATA.email_verification.data);
+    await mailer.processOutbox();
+    const [row] = outbox.rows;
+    while (row.status === 'pending') {
+      await outbox.retry(mailer, row);
+    }
+
+    expect(row).toMatchObject({ status: 'failed', attempts: 6, last_error: 'Connection refused' });
+    expect(outbox.retryDelays).toEqual([60, 120, 240, 480, 960, 1920]);
+    expect(mailer.captured).toHaveLength(0);
+    expect(logger.error).toHaveBeenCalledWith('Mail 1 to ada@example.test failed after 6 attempts:', expect.any(Error));
+  });
+});
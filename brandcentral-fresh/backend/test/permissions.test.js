@@ -0,0 +1,311 @@
+// The role → permission matrix, asserted per endpoint: every route is called as a non-member and as
+// each organization role (or as a platform admin and a regular user), and must let exactly the roles
+// in PERMISSION_MINIMUM_ROLES through. Changing what a route requires or what a role grants means
+// changing these tables too.
+const request = require('supertest');
+const { loadServer, accessToken, acceptSessions } = require('./helpers');
+
+const ORG_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+const PERMISSION_MINIMUM_ROLES = {
+  'account:read': 'authenticated',
+  'account:write': 'authenticated',
+  'brands:browse': 'authenticated',
+  'retailers:browse': 'authenticated',
+  'relationships:list': 'authenticated',
+  'orders:list': 'authenticated',
+  'analytics:read': 'authenticated',
+  'org:read': 'viewer',
+  'brand:read': 'viewer',
+  'relationships:read': 'viewer',
+  'orders:read': 'viewer',
+  'brand:write': 'member',
+  'brand:assets:write': 'member',
+  'relationships:write': 'member',
+  'orders:write': 'member',
+  'org:manage': 'admin',
+  'org:members:manage': 'admin',
+  'org:webhooks:manage': 'admin',
+  'platform:users:read': 'platform_admin',
+  'platform:users:write': 'platform_admin',
+  'platform:impersonate': 'platform_admin',
+  'platform:brands:verify': 'platform_admin',
+  'platform:stats:read': 'platform_admin'
+};
+
+// [method, path, permission, resource its resolver loads (null for routes without one)]
+const ROUTES = [
+  ['POST', '/api/auth/verify-email/resend', 'account:write', null],
+  ['POST', '/api/auth/2fa/setup', 'account:write', null],
+  ['POST', '/api/auth/2fa/enable', 'account:write', null],
+  ['POST', '/api/auth/2fa/disable', 'account:write', null],
+  ['POST', '/api/auth/2fa/recovery-codes', 'account:write', null],
+  ['GET', '/api/auth/sessions', 'account:read', null],
+  ['DELETE', '/api/auth/sessions', 'account:write', null],
+  ['DELETE', '/api/auth/sessions/:id', 'account:write', null],
+  ['GET', '/api/users/profile', 'account:read', null],
+  ['PUT', '/api/users/profile', 'account:write', null],
+  ['PUT', '/api/users/password', 'account:write', null],
+  ['GET', '/api/organizations', 'account:read', null],
+  ['GET', '/api/organizations/:id', 'org:read', 'Organization'],
+  ['PUT', '/api/organizations/:id', 'org:manage', 'Organization'],
+  ['PUT', '/api/organizations/:id/members/:userId', 'org:members:manage', 'Organization'],
+  ['DELETE', '/api/organizations/:id/members/:userId', 'org:read', 'Organization'],
+  ['POST', '/api/organizations/:id/members/:userId/unlock', 'org:members:manage', 'Organization'],
+  ['POST', '/api/organizations/:id/invitations', 'org:members:manage', 'Organization'],
+  ['GET', '/api/organizations/:id/invitations', 'org:members:manage', 'Organization'],
+  ['DELETE', '/api/organizations/:id/invitations/:invitationId', 'org:members:manage', 'Organization'],
+  ['POST', '/api/invitations/accept', 'account:write', null],
+  ['GET', '/api/organizations/:id/webhooks', 'org:webhooks:manage', 'Organization'],
+  ['POST', '/api/organizations/:id/webhooks', 'org:webhooks:manage', 'Organization'],
+  ['PUT', '/api/organizations/:id/webhooks/:webhookId', 'org:webhooks:manage', 'Organization'],
+  ['DELETE', '/api/organizations/:id/webhooks/:webhookId', 'org:webhooks:manage', 'Organization'],
+  ['POST', '/api/organizations/:id/webhooks/:webhookId/rotate-secret', 'org:webhooks:manage', 'Organization'],
+  ['GET', '/api/organizations/:id/webhooks/:webhookId/deliveries', 'org:webhooks:manage', 'Organization'],
+  ['POST', '/api/organizations/:id/webhooks/:webhookId/test', 'org:webhooks:manage', 'Organization'],
+  ['GET', '/api/brands', 'brands:browse', null],
+  ['GET', '/api/brands/:id', 'brands:browse', 'Brand'],
+  ['PUT', '/api/brands/:id', 'brand:write', 'Brand'],
+  ['GET', '/api/brands/my/brands', 'brands:browse', null],
+  ['POST', '/api/brands/:brandId/products/import', 'brand:write', 'Brand'],
+  ['GET', '/api/brands/:brandId/products/export', 'brands:browse', 'Brand'],
+  ['GET', '/api/brands/:id/line-sheet.pdf', 'brands:browse', 'Brand'],
+  ['GET', '/api/brands/:brandId/products', 'brands:browse', 'Brand'],
+  ['GET', '/api/brands/:brandId/products/:productId', 'brands:browse', 'Brand'],
+  ['POST', '/api/brands/:brandId/products', 'brand:write', 'Brand'],
+  ['PUT', '/api/brands/:brandId/products/:productId', 'brand:write', 'Brand'],
+  ['DELETE', '/api/brands/:brandId/products/:productId', 'brand:write', 'Brand'],
+  ['GET', '/api/brands/:brandId/products/:productId/variants', 'brands:browse', 'Brand'],
+  ['POST', '/api/brands/:brandId/products/:productId/variants', 'brand:write', 'Brand'],
+  ['PUT', '/api/brands/:brandId/products/:productId/variants/:variantId', 'brand:write', 'Brand'],
+  ['DELETE', '/api/brands/:brandId/products/:productId/variants/:variantId', 'brand:write', 'Brand'],
+  ['PUT', '/api/brands/:brandId/products/:productId/variants/:variantId/price-tiers', 'brand:write', 'Brand'],
+  ['POST', '/api/brands/:brandId/assets', 'brand:assets:write', 'Brand'],
+  ['GET', '/api/brands/:brandId/assets', 'brands:browse', 'Brand'],
+  ['DELETE', '/api/brands/:brandId/assets/:assetId', 'brand:assets:write', 'Brand'],
+  ['GET', '/api/brands/:brandId/verification', 'brand:read', 'Brand'],
+  ['POST', '/api/brands/:brandId/verification', 'brand:write', 'Brand'],
+  ['PUT', '/api/brands/:brandId/verification/:requestId', 'brand:write', 'Brand'],
+  ['POST', '/api/brands/:brandId/verification/:requestId/documents', 'brand:write', 'Brand'],
+  ['GET', '/api/brands/:brandId/verification/:requestId/documents/:documentId', 'brand:read', 'Brand'],
+  ['DELETE', '/api/brands/:brandId/verification/:requestId/documents/:documentId', 'brand:write', 'Brand'],
+  ['POST', '/api/brands/:brandId/verification/:requestId/submit', 'brand:write', 'Brand'],
+  ['GET', '/api/analytics/dashboard', 'analytics:read', null],
+  ['GET', '/api/retailers', 'retailers:browse', null],
+  ['GET', '/api/relationships', 'relationships:list', null],
+  ['POST', '/api/relationships', 'relationships:write', 'Retailer organization'],
+  ['PUT', '/api/relationships/:id', 'relationships:write', 'Relationship'],
+  ['DELETE', '/api/relationships/:id', 'relationships:write', 'Relationship'],
+  ['GET', '/api/relationships/:id/history', 'relationships:read', 'Relationship'],
+  ['POST', '/api/brands/:brandId/partnership-requests', 'relationships:write', 'Brand'],
+  ['GET', '/api/brands/:brandId/partnership-requests', 'relationships:read', 'Brand'],
+  ['GET', '/api/partnership-requests', 'relationships:list', null],
+  ['GET', '/api/partnership-requests/:id', 'relationships:read', 'Partnership request'],
+  ['POST', '/api/partnership-requests/:id/respond', 'relationships:write', 'Partnership request'],
+  ['POST', '/api/partnership-requests/:id/withdraw', 'relationships:write', 'Partnership request'],
+  ['GET', '/api/relationships/:id/price-lists', 'brand:read', 'Relationship'],
+  ['GET', '/api/relationships/:id/price-lists/:priceListId', 'brand:read', 'Relationship'],
+  ['POST', '/api/relationships/:id/price-lists', 'brand:write', 'Relationship'],
+  ['PUT', '/api/relationships/:id/price-lists/:priceListId', 'brand:write', 'Relationship'],
+  ['DELETE', '/api/relationships/:id/price-lists/:priceListId', 'brand:write', 'Relationship'],
+  ['GET', '/api/orders', 'orders:list', null],
+  ['GET', '/api/orders/:id', 'orders:read', 'Purchase order'],
+  ['POST', '/api/relationships/:id/orders', 'orders:write', 'Relationship'],
+  ['PUT', '/api/orders/:id/status', 'orders:write', 'Purchase order'],
+  ['GET', '/api/relationships/:id/threads', 'relationships:read', 'Relationship'],
+  ['POST', '/api/relationships/:id/threads', 'relationships:write', 'Relationship'],
+  ['GET', '/api/threads/:threadId/messages', 'relationships:read', 'Thread'],
+  ['POST', '/api/threads/:threadId/messages', 'relationships:write', 'Thread'],
+  ['POST', '/api/threads/:threadId/read', 'relationships:read', 'Thread'],
+  ['GET', '/api/threads/:threadId/attachments/:attachmentId', 'relationships:read', 'Thread'],
+  ['GET', '/api/messages/unread', 'relationships:list', null],
+  ['GET', '/api/industries', 'brands:browse', null],
+  ['GET', '/api/notifications', 'account:read', null],
+  ['POST', '/api/notifications/read-all', 'account:write', null],
+  ['POST', '/api/notifications/:id/read', 'account:write', null],
+  ['GET', '/api/admin/users', 'platform:users:read', null],
+  ['GET', '/api/admin/users/:id', 'platform:users:read', null],
+  ['POST', '/api/admin/users/:id/deactivate', 'platform:users:write', null],
+  ['POST', '/api/admin/users/:id/activate', 'platform:users:write', null],
+  ['POST', '/api/admin/users/:id/impersonate', 'platform:impersonate', null],
+  ['POST', '/api/admin/brands/:id/verify', 'platform:brands:verify', null],
+  ['POST', '/api/admin/brands/:id/unverify', 'platform:brands:verify', null],
+  ['GET', '/api/admin/verification-requests', 'platform:brands:verify', null],
+  ['GET', '/api/admin/verification-requests/:id', 'platform:brands:verify', null],
+  ['GET', '/api/admin/verification-requests/:id/documents/:documentId', 'platform:brands:verify', null],
+  ['POST', '/api/admin/verification-requests/:id/review', 'platform:brands:verify', null],
+  ['GET', '/api/admin/stats', 'platform:stats:read', null]
+];
+
+// Routes that do their own authentication (credentials, single-use tokens) or need none
+const PUBLIC_ROUTES = [
+  ['GET', '/health'],
+  ['POST', '/api/auth/login'],
+  ['POST', '/api/auth/register'],
+  ['POST', '/api/auth/refresh'],
+  ['POST', '/api/auth/logout'],
+  ['POST', '/api/auth/verify-email'],
+  ['POST', '/api/auth/forgot-password'],
+  ['POST', '/api/auth/reset-password'],
+  ['POST', '/api/auth/2fa/verify'],
+  ['POST', '/api/invitations/decline']
+];
+
+const ORGANIZATION_ID = 10;
+const USER = { id: 42, email: 'member@example.com', role: 'brand_user', companyType: 'brand' };
+const PLATFORM_ADMIN = { ...USER, role: 'platform_admin' };
+
+const routesRequiring = (test) => ROUTES.filter(([, , permission]) => test(PERMISSION_MINIMUM_ROLES[permission]));
+const routeName = ([method, path]) => `${method} ${path}`;
+const concretePath = (path) => path.replace(/:\w+/g, '1');
+
+// Where the user stands in the test organization; every resolver's resource belongs to it
+const membership = { role: null, resourceExists: true };
+
+function stubOrganizationLookups(pool) {
+  const resource = {
+    id: 1,
+    organization_id: ORGANIZATION_ID,
+    brand_id: 1,
+    retailer_organization_id: ORGANIZATION_ID,
+    brand_organization_id: ORGANIZATION_ID,
+    relationship_id: 1,
+    is_public: true
+  };
+  const ifExists = (rows) => () => membership.resourceExists ? rows : [];
+
+  acceptSessions(pool);
+  pool.when(/SELECT id FROM organizations WHERE id = \$1/, ifExists([{ id: ORGANIZATION_ID }]));
+  pool.when(/SELECT \* FROM brands WHERE id = \$1/, ifExists([resource]));
+  pool.when(/SELECT \* FROM brand_retailer_relationships WHERE id = \$1/, ifExists([resource]));
+  pool.when(/FROM brand_retailer_relationships r\s+JOIN brands b ON r\.brand_id = b\.id\s+WHERE r\.id = \$1/, ifExists([resource]));
+  pool.when(/FROM partnership_requests pr\s+JOIN brands b/, ifExists([resource]));
+  pool.when(/FROM message_threads t\s+JOIN brand_retailer_relationships r/, ifExists([resource]));
+  pool.when(/FROM purchase_orders o\s+JOIN brands b ON o\.brand_id = b\.id\s+WHERE o\.id = \$1/, ifExists([resource]));
+  pool.when(/SELECT role FROM organization_members WHERE organization_id = \$1 AND user_id = \$2/, ([organizationId, userId]) =>
+    membership.role && organizationId === ORGANIZATION_ID && userId === USER.id ? [{ role: membership.role }] : []);
+  // resolveUserOrganization: the user's own retailer organization, found through their membership
+  pool.when(/SELECT o\.id, m\.role FROM organizations o\s+JOIN organization_members m/, () =>
+    membership.role && membership.resourceExists ? [{ id: ORGANIZATION_ID, role: membership.role }] : []);
+}
+
+const call = (app, [method, path], user = null) => {
+  const req = request(app)[method.toLowerCase()](concretePath(path));
+  return user ? req.set('Authorization', `Bearer ${accessToken(user)}`) : req;
+};
+
+const deniedBy = (res, permission) => res.status === 403 && res.body.code === 'PERMISSION_DENIED' && res.body.permission === permission;
+
+describe('route coverage', () => {
+  const { app } = loadServer();
+  const appRoutes = app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+
+  test('every route is either in the permission table or public', () => {
+    const known = [...ROUTES, ...PUBLIC_ROUTES].map(routeName);
+    expect(appRoutes.filter(route => !known.includes(route))).toEqual([]);
+    expect(known.filter(route => !appRoutes.includes(route))).toEqual([]);
+  });
+
+  test('every permission in the table has a minimum role', () => {
+    expect(ROUTES.filter(([, , permission]) => !PERMISSION_MINIMUM_ROLES[permission])).toEqual([]);
+  });
+});
+
+describe('organization-scoped routes', () => {
+  const { app, pool } = loadServer();
+  stubOrganizationLookups(pool);
+
+  afterEach(() => {
+    membership.role = null;
+    membership.resourceExists = true;
+  });
+
+  describe.each(routesRequiring(minimum => ORG_ROLES.includes(minimum)).map(route => [routeName(route), route]))('%s', (name, route) => {
+    const [, , permission, resource] = route;
+    const minimum = PERMISSION_MINIMUM_ROLES[permission];
+
+    test('requires an access token', async () => {
+      const res = await call(app, route);
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('TOKEN_MISSING');
+    });
+
+    test('is denied to non-members', async () => {
+      const res = await call(app, route, USER);
+      if (resource === 'Retailer organization') {
+        // The organization is picked from the user's own, so a non-member has none to act for
+        expect(res.status).toBe(404);
+      } else {
+        expect(deniedBy(res, permission)).toBe(true);
+      }
+    });
+
+    test.each(ORG_ROLES)(`as %s: allowed only from ${minimum} up`, async (role) => {
+      membership.role = role;
+      const res = await call(app, route, USER);
+      const allowed = ORG_ROLES.indexOf(role) >= ORG_ROLES.indexOf(minimum);
+      expect(deniedBy(res, permission)).toBe(!allowed);
+    });
+
+    test(`answers 404 when the ${resource} does not exist`, async () => {
+      membership.role = 'owner';
+      membership.resourceExists = false;
+      const res = await call(app, route, USER);
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ error: `${resource} not found`, code: 'NOT_FOUND' });
+    });
+  });
+});
+
+describe('account-level routes', () => {
+  const { app, pool } = loadServer();
+  stubOrganizationLookups(pool);
+
+  describe.each(routesRequiring(minimum => minimum === 'authenticated').map(route => [routeName(route), route]))('%s', (name, route) => {
+    const [, , permission] = route;
+
+    test('requires an access token', async () => {
+      const res = await call(app, route);
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('TOKEN_MISSING');
+    });
+
+    test('is allowed to any signed-in user, member of an organization or not', async () => {
+      const res = await call(app, route, USER);
+      expect(deniedBy(res, permission)).toBe(false);
+      expect(res.status).not.toBe(401);
+    });
+  });
+});
+
+describe('platform admin routes', () => {
+  const { app, pool } = loadServer();
+  stubOrganizationLookups(pool);
+
+  afterEach(() => {
+    membership.role = null;
+  });
+
+  describe.each(routesRequiring(minimum => minimum === 'platform_admin').map(route => [routeName(route), route]))('%s', (name, route) => {
+    const [, , permission] = route;
+
+    test('requires an access token', async () => {
+      const res = await call(app, route);
+      expect(res.status).toBe(401);
+    });
+
+    test('is denied to regular users, even organization owners', async () => {
+      membership.role = 'owner';
+      const res = await call(app, route, USER);
+      expect(deniedBy(res, permission)).toBe(true);
+    });
+
+    test('is allowed to platform admins', async () => {
+      const res = await call(app, route, PLATFORM_ADMIN);
+      expect(deniedBy(res, permission)).toBe(false);
+      expect(res.status).not.toBe(401);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// Outbound webhooks: organizations subscribe a URL to event types, and each matching event is
+// queued in webhook_deliveries (created by server.js) and POSTed as JSON with retries and
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS. Every delivery is signed with the subscription's
+// secret; receivers recompute the HMAC to check it:
+//
+//   X-ROLLodx-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${raw body}`)>
+const crypto = require('crypto');
+const outboundHttp = require('./outboundHttp');
+
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_POLL_INTERVAL = 15 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+// A row left in 'sending' this long belongs to a process that died mid-delivery
+const WEBHOOK_STALE_LOCK = '10 minutes';
+const WEBHOOK_RESPONSE_BODY_LIMIT = 2000;
+const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const retryDelaySeconds = (attempts) => Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+
+// Endpoints must be on public addresses unless allowPrivateAddresses is set (local development)
+function createWebhookDispatcher({ pool, logger, allowPrivateAddresses = false }) {
+  let draining = null;
+  let drainAgain = false;
+  let pollTimer = null;
+
+  // POSTs one claimed delivery and records the outcome. Anything but a 2xx (redirects included) is
+  // a failure. Only a 2xx response's body is kept; an error page isn't the receiver's to show.
+  async function attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await outboundHttp.request(delivery.url, {
+        method: 'POST',
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+        maxBytes: WEBHOOK_RESPONSE_BODY_LIMIT,
+        allowPrivateAddresses,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ROLLodx-Webhooks/1.0',
+          'X-ROLLodx-Event': delivery.event_type,
+          'X-ROLLodx-Delivery': String(delivery.id),
+          'X-ROLLodx-Signature': `t=${timestamp},v1=${signWebhookPayload(delivery.secret, timestamp, body)}`
+        },
+        body
+      });
+      responseStatus = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        responseBody = response.body.toString('utf8');
+      } else {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const failed = error && delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = $2::TEXT,
+          response_status = $3,
+          response_body = $4,
+          error = $5,
+          duration_ms = $6,
+          delivered_at = CASE WHEN $2::TEXT = 'succeeded' THEN CURRENT_TIMESTAMP END,
+          next_attempt_at = CASE WHEN $2::TEXT = 'pending' THEN CURRENT_TIMESTAMP + make_interval(secs => $7) END,
+          locked_at = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [delivery.id, error ? (failed ? 'failed' : 'pending') : 'succeeded', responseStatus, responseBody, error, Date.now() - startedAt, retryDelaySeconds(delivery.attempts)]);
+
+    if (failed) {
+      logger.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempts: ${error}`);
+    } else if (error) {
+      logger.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed, retrying in ${retryDelaySeconds(delivery.attempts)}s: ${error}`);
+    }
+
+    return result.rows[0];
+  }
+
+  // Claims due deliveries (and stale 'sending' ones) of active subscriptions, so concurrent workers
+  // never POST the same delivery. Pass deliveryId to claim just that one.
+  async function claim(deliveryId = null) {
+    const result = await pool.query(`
+      UPDATE webhook_deliveries d
+      SET status = 'sending', attempts = d.attempts + 1, locked_at = CURRENT_TIMESTAMP
+      FROM webhook_subscriptions s
+      WHERE d.subscription_id = s.id AND d.id IN (
+        SELECT wd.id FROM webhook_deliveries wd
+        JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+        WHERE ws.is_active = true
+          AND ($2::INTEGER IS NULL OR wd.id = $2)
+          AND ((wd.status = 'pending' AND wd.next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (wd.status = 'sending' AND wd.locked_at < CURRENT_TIMESTAMP - INTERVAL '${WEBHOOK_STALE_LOCK}'))
+        ORDER BY wd.id
+        LIMIT $1
+        FOR UPDATE OF wd SKIP LOCKED
+      )
+      RETURNING d.*, s.url, s.secret
+    `, [WEBHOOK_BATCH_SIZE, deliveryId]);
+    return result.rows;
+  }
+
+  async function deliverBatch() {
+    const deliveries = await claim();
+    for (const delivery of deliveries) {
+      await attempt(delivery);
+    }
+    return deliveries.length;
+  }
+
+  // Delivers everything that's due. Calls made while a drain is running make it go around once more
+  // instead of starting a second one, so an event queued mid-drain isn't left for the next poll.
+  function processDeliveries() {
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      do {
+        drainAgain = false;
+        while (await deliverBatch() > 0);
+      } while (drainAgain);
+    })()
+      .catch(error => logger.error('Webhook delivery processing failed:', error))
+      .finally(() => { draining = null; });
+    return draining;
+  }
+
+  // Queues an event for every active subscription of the given organizations that wants its type
+  async function publish(organizationIds, type, data) {
+    const ids = [...new Set(organizationIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+      SELECT s.id, $2::TEXT, $3::TEXT, jsonb_build_object('id', $2::TEXT, 'type', $3::TEXT, 'createdAt', $4::TEXT, 'organizationId', s.organization_id, 'data', $5::JSONB)
+      FROM webhook_subscriptions s
+      WHERE s.organization_id = ANY($1) AND s.is_active = true
+        AND ($3 = ANY(s.event_types) OR '*' = ANY(s.event_types))
+      RETURNING id
+    `, [ids, crypto.randomUUID(), type, new Date().toISOString(), JSON.stringify(data)]);
+
+    if (result.rows.length > 0) {
+      setImmediate(processDeliveries);
+    }
+    return result.rows;
+  }
+
+  // Sends a webhook.test event to one subscription right away, whatever its filter, and resolves
+  // with the recorded delivery. A failed test is retried like any other delivery.
+  async function sendTest(subscription, data = {}) {
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+      VALUES ($1, $2::TEXT, $3::TEXT, jsonb_build_object('id', $2::TEXT, 'type', $3::TEXT, 'createdAt', $4::TEXT, 'organizationId', $5::INTEGER, 'data', $6::JSONB))
+      RETURNING *
+    `, [subscription.id, crypto.randomUUID(), WEBHOOK_TEST_EVENT, new Date().toISOString(), subscription.organization_id, JSON.stringify(data)]);
+
+    const [claimed] = await claim(result.rows[0].id);
+    return claimed ? attempt(claimed) : result.rows[0];
+  }
+
+  function start() {
+    if (pollTimer) {
+      return;
+    }
+    processDeliveries();
+    pollTimer = setInterval(processDeliveries, WEBHOOK_POLL_INTERVAL);
+    pollTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    return draining || Promise.resolve();
+  }
+
+  return { publish, sendTest, processDeliveries, start, stop };
+}
+
+module.exports = {
+  createWebhookDispatcher,
+  generateWebhookSecret,
+  signWebhookPayload,
+  WEBHOOK_TEST_EVENT
+};
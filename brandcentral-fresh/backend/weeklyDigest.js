@@ -0,0 +1,296 @@
+// Weekly digest: a per-user email summarizing the past week on ROLLodx, built from activity_log and
+// relationship_status_history. server.js schedules runWeeklyDigest; running this file renders the
+// digests to disk without sending anything or marking them as sent:
+//
+//   node weeklyDigest.js [--out ./digests] [--user <id>] [--week-ending YYYY-MM-DD]
+const fs = require('fs');
+const path = require('path');
+const { defineTemplate, renderTemplate, escapeHtml, paragraph, heading, list, button } = require('./mailer');
+
+const DIGEST_PERIOD_DAYS = 7;
+const DIGEST_MAX_ASSETS_PER_BRAND = 5;
+
+const MEMBER_ORGS = '(SELECT organization_id FROM organization_members WHERE user_id = $1)';
+
+// Digest weeks run Monday 00:00 UTC to Monday 00:00 UTC; returns the last boundary at or before `date`
+function digestPeriodEnd(date = new Date()) {
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  end.setUTCDate(end.getUTCDate() - ((end.getUTCDay() + 6) % 7));
+  return end;
+}
+
+function digestPeriodStart(periodEnd) {
+  const start = new Date(periodEnd);
+  start.setUTCDate(start.getUTCDate() - DIGEST_PERIOD_DAYS);
+  return start;
+}
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// Users who want the digest: active, verified, and not opted out of email or the digest itself.
+// With onlyDue, users already sent the digest for this period are left out.
+async function findDigestRecipients(pool, periodEnd, { userId = null, onlyDue = false } = {}) {
+  const result = await pool.query(`
+    SELECT u.id, u.email, u.first_name, np.digest_sent_through
+    FROM users u
+    LEFT JOIN notification_preferences np ON np.user_id = u.id
+    WHERE u.is_active = true AND u.email_verified = true
+      AND COALESCE(np.email_notifications, true) AND COALESCE(np.weekly_digest, true)
+      AND ($2::INTEGER IS NULL OR u.id = $2)
+      AND (NOT $3 OR np.digest_sent_through IS NULL OR np.digest_sent_through < $1)
+    ORDER BY u.id
+  `, [periodEnd, userId, onlyDue]);
+  return result.rows;
+}
+
+// New shared assets from brands the user's retailer organizations have a live relationship with
+async function partnerAssetUploads(pool, userId, start, end) {
+  const result = await pool.query(`
+    SELECT b.id as brand_id, b.name as brand_name, a.id, a.original_name, a.category
+    FROM activity_log l
+    JOIN brand_assets a ON l.entity_id = a.id
+    JOIN brands b ON a.brand_id = b.id
+    WHERE l.action = 'ASSET_UPLOADED' AND l.entity_type = 'brand_asset'
+      AND l.created_at >= $2 AND l.created_at < $3
+      AND a.permission_level IN ('public', 'partners_only')
+      AND EXISTS (
+        SELECT 1 FROM brand_retailer_relationships r
+        WHERE r.brand_id = b.id AND r.status NOT IN ('inactive', 'withdrawn')
+          AND r.retailer_organization_id IN ${MEMBER_ORGS}
+      )
+    ORDER BY b.name, l.created_at
+  `, [userId, start, end]);
+
+  const brands = new Map();
+  for (const row of result.rows) {
+    if (!brands.has(row.brand_id)) {
+      brands.set(row.brand_id, { brandId: row.brand_id, brandName: row.brand_name, assets: [] });
+    }
+    brands.get(row.brand_id).assets.push({ id: row.id, name: row.original_name, category: row.category });
+  }
+  return [...brands.values()];
+}
+
+// Status changes on relationships the user is on either side of, named by the other party
+async function relationshipStatusChanges(pool, userId, start, end) {
+  const result = await pool.query(`
+    SELECT h.relationship_id, h.from_status, h.to_status, h.reason, h.created_at,
+           CASE WHEN r.retailer_organization_id IN ${MEMBER_ORGS} THEN b.name ELSE o.name END as counterpart
+    FROM relationship_status_history h
+    JOIN brand_retailer_relationships r ON h.relationship_id = r.id
+    JOIN brands b ON r.brand_id = b.id
+    JOIN organizations o ON r.retailer_organization_id = o.id
+    WHERE h.created_at >= $2 AND h.created_at < $3
+      AND (r.retailer_organization_id IN ${MEMBER_ORGS} OR b.organization_id IN ${MEMBER_ORGS})
+    ORDER BY h.created_at
+  `, [userId, start, end]);
+
+  return result.rows.map(row => ({
+    relationshipId: row.relationship_id,
+    counterpart: row.counterpart,
+    from: row.from_status,
+    to: row.to_status,
+    reason: row.reason,
+    at: row.created_at
+  }));
+}
+
+// Views of the user's brands by people outside the brand's own organization
+async function brandViews(pool, userId, start, end) {
+  const result = await pool.query(`
+    SELECT b.id as brand_id, b.name as brand_name, COUNT(*)::INTEGER as views,
+           COUNT(DISTINCT l.user_id)::INTEGER as viewers
+    FROM activity_log l
+    JOIN brands b ON l.entity_id = b.id
+    WHERE l.action = 'BRAND_VIEWED' AND l.entity_type = 'brand'
+      AND l.created_at >= $2 AND l.created_at < $3
+      AND b.organization_id IN ${MEMBER_ORGS}
+      AND NOT EXISTS (
+        SELECT 1 FROM organization_members m WHERE m.organization_id = b.organization_id AND m.user_id = l.user_id
+      )
+    GROUP BY b.id, b.name
+    ORDER BY b.name
+  `, [userId, start, end]);
+
+  return result.rows.map(row => ({ brandId: row.brand_id, brandName: row.brand_name, views: row.views, viewers: row.viewers }));
+}
+
+async function buildDigest(pool, user, periodEnd) {
+  const start = digestPeriodStart(periodEnd);
+  const [assets, statusChanges, views] = await Promise.all([
+    partnerAssetUploads(pool, user.id, start, periodEnd),
+    relationshipStatusChanges(pool, user.id, start, periodEnd),
+    brandViews(pool, user.id, start, periodEnd)
+  ]);
+
+  return {
+    user,
+    periodStart: start,
+    periodEnd,
+    assets,
+    statusChanges,
+    views,
+    isEmpty: assets.length === 0 && statusChanges.length === 0 && views.length === 0
+  };
+}
+
+const describeStatusChange = (change) => change.from
+  ? `${change.counterpart}: ${change.from} → ${change.to}`
+  : `${change.counterpart}: new relationship (${change.to})`;
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+defineTemplate('weekly_digest', 1, ({ digest, frontendUrl }) => {
+  const lastDay = new Date(digest.periodEnd.getTime() - 1);
+  const period = `${formatDay(digest.periodStart)} – ${formatDay(lastDay)}`;
+
+  const text = [`Hi ${digest.user.first_name},`, '', `Here's what happened on ROLLodx between ${period}.`];
+  let html = paragraph(`Hi ${digest.user.first_name},`) + paragraph(`Here's what happened on ROLLodx between ${period}.`);
+
+  if (digest.assets.length > 0) {
+    const items = digest.assets.map(brand => {
+      const shown = brand.assets.slice(0, DIGEST_MAX_ASSETS_PER_BRAND).map(asset => asset.name);
+      const more = brand.assets.length - shown.length;
+      return { brandName: brand.brandName, summary: `${pluralize(brand.assets.length, 'new asset')} (${shown.join(', ')}${more > 0 ? ` and ${more} more` : ''})` };
+    });
+    text.push('', 'New assets from your partner brands', ...items.map(item => `- ${item.brandName}: ${item.summary}`));
+    html += heading('New assets from your partner brands') +
+      list(items.map(item => `<strong>${escapeHtml(item.brandName)}</strong>: ${escapeHtml(item.summary)}`));
+  }
+
+  if (digest.statusChanges.length > 0) {
+    const items = digest.statusChanges.map(change => describeStatusChange(change) + (change.reason ? ` — ${change.reason}` : ''));
+    text.push('', 'Relationship updates', ...items.map(item => `- ${item}`));
+    html += heading('Relationship updates') + list(items.map(escapeHtml));
+  }
+
+  if (digest.views.length > 0) {
+    const items = digest.views.map(brand => ({
+      brandName: brand.brandName,
+      summary: `${pluralize(brand.views, 'view')} from ${brand.viewers === 1 ? '1 person' : `${brand.viewers} people`}`
+    }));
+    text.push('', 'Who looked at your brand', ...items.map(item => `- ${item.brandName}: ${item.summary}`));
+    html += heading('Who looked at your brand') +
+      list(items.map(item => `<strong>${escapeHtml(item.brandName)}</strong>: ${escapeHtml(item.summary)}`));
+  }
+
+  text.push('', `Open ROLLodx: ${frontendUrl}`);
+  html += button(frontendUrl, 'Open ROLLodx');
+
+  return {
+    subject: `Your ROLLodx week: ${period}`,
+    preheader: `Your partner activity for ${period}`,
+    text: text.join('\n'),
+    html,
+    footer: 'You are receiving this because the weekly digest is turned on in your notification preferences.'
+  };
+});
+
+// Returns the rendered weekly_digest template ({ subject, text, html, ... }) for a digest built by buildDigest
+const renderDigest = (digest, { frontendUrl }) => renderTemplate('weekly_digest', { digest, frontendUrl });
+
+// Builds and renders digests without sending them; empty digests are skipped
+async function previewWeeklyDigests(pool, { periodEnd = digestPeriodEnd(), userId = null, frontendUrl }) {
+  const recipients = await findDigestRecipients(pool, periodEnd, { userId });
+  const previews = [];
+  for (const user of recipients) {
+    const digest = await buildDigest(pool, user, periodEnd);
+    if (!digest.isEmpty) {
+      previews.push({ user, digest, message: renderDigest(digest, { frontendUrl }) });
+    }
+  }
+  return previews;
+}
+
+// Queues the digest for the latest complete week for every recipient who hasn't had it yet. Each
+// user is claimed with a conditional update first, so overlapping runs (or instances) don't queue it
+// twice; if building or queueing fails the claim is released so the next run retries it (delivery
+// retries are the outbox's job). Users with nothing to report are marked as done without an email.
+async function runWeeklyDigest({ pool, mailer, logger, frontendUrl, now = new Date() }) {
+  const periodEnd = digestPeriodEnd(now);
+  const recipients = await findDigestRecipients(pool, periodEnd, { onlyDue: true });
+  const summary = { queued: 0, empty: 0, failed: 0 };
+
+  for (const user of recipients) {
+    const claim = await pool.query(`
+      INSERT INTO notification_preferences (user_id, digest_sent_through) VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET digest_sent_through = EXCLUDED.digest_sent_through, updated_at = CURRENT_TIMESTAMP
+      WHERE notification_preferences.digest_sent_through IS NULL OR notification_preferences.digest_sent_through < EXCLUDED.digest_sent_through
+      RETURNING id
+    `, [user.id, periodEnd]);
+    if (claim.rows.length === 0) {
+      continue;
+    }
+
+    try {
+      const digest = await buildDigest(pool, user, periodEnd);
+      if (digest.isEmpty) {
+        summary.empty++;
+        continue;
+      }
+
+      await mailer.send('weekly_digest', user.email, { digest, frontendUrl });
+      summary.queued++;
+    } catch (error) {
+      logger.error(`Weekly digest failed for user ${user.id}:`, error);
+      await pool.query(
+        'UPDATE notification_preferences SET digest_sent_through = $2 WHERE user_id = $1',
+        [user.id, user.digest_sent_through]
+      );
+      summary.failed++;
+    }
+  }
+
+  return { periodEnd, ...summary };
+}
+
+module.exports = {
+  digestPeriodEnd,
+  buildDigest,
+  renderDigest,
+  previewWeeklyDigests,
+  runWeeklyDigest
+};
+
+// CLI: dry run only. Writes <user id>-<email>.html/.txt per digest to --out.
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const outDir = path.resolve(option('out') || path.join(__dirname, 'digests'));
+  const userId = option('user') ? parseInt(option('user')) : null;
+  const weekEnding = option('week-ending');
+  const periodEnd = digestPeriodEnd(weekEnding ? new Date(`${weekEnding}T00:00:00Z`) : new Date());
+
+  if (Number.isNaN(periodEnd.getTime()) || Number.isNaN(userId)) {
+    console.error('Usage: node weeklyDigest.js [--out <dir>] [--user <id>] [--week-ending YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  previewWeeklyDigests(pool, { periodEnd, userId, frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000' })
+    .then(previews => {
+      fs.mkdirSync(outDir, { recursive: true });
+      for (const { user, message } of previews) {
+        const base = path.join(outDir, `${user.id}-${user.email.replace(/[^a-zA-Z0-9.@-]/g, '_')}`);
+        fs.writeFileSync(`${base}.html`, `<!-- To: ${escapeHtml(user.email)} | Subject: ${escapeHtml(message.subject)} -->\n${message.html}\n`);
+        fs.writeFileSync(`${base}.txt`, `To: ${user.email}\nSubject: ${message.subject}\n\n${message.text}\n`);
+      }
+      console.log(`Rendered ${previews.length} digest(s) for the week ending ${periodEnd.toISOString().slice(0, 10)} to ${outDir}`);
+    })
+    .catch(error => {
+      console.error('Weekly digest dry run failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -578,10 +578,15 @@ const AuthProvider = ({ children }) => {
     // Refresh token every 14 minutes (tokens expire in 15 minutes)
     const interval = setInterval(async () => {
       try {
-        const response = await api.post('/auth/refresh', { refreshToken });
-        const { token } = response.data;
+        // Refresh tokens rotate on every use, so always send the latest one
+        const currentRefreshToken = localStorage.getItem('rollodx_refresh_token') || refreshToken;
+        const response = await api.post('/auth/refresh', { refreshToken: currentRefreshToken });
+        const { token, refreshToken: nextRefreshToken } = response.data;
         
         localStorage.setItem('rollodx_token', token);
+        if (nextRefreshToken) {
+          localStorage.setItem('rollodx_refresh_token', nextRefreshToken);
+        }
       } catch (error) {
         console.error('Token refresh failed:', error);
         logout();
@@ -597,7 +602,14 @@ const AuthProvider = ({ children }) => {
       dispatch({ type: 'CLEAR_ERROR' });
       
       const response = await api.post('/auth/login', credentials);
-      const { token, refreshToken, user } = response.data;
+      const { token, refreshToken, user, twoFactorRequired, twoFactorToken } = response.data;
+      
+      // Two-factor accounts get a challenge token; the caller collects the code
+      // and finishes with verifyTwoFactor()
+      if (twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return { twoFactorRequired, twoFactorToken };
+      }
       
       localStorage.setItem('rollodx_token', token);
       localStorage.setItem('rollodx_user', JSON.stringify(user));
@@ -619,6 +631,34 @@ const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (twoFactorToken, code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      dispatch({ type: 'CLEAR_ERROR' });
+      
+      const response = await api.post('/auth/2fa/verify', { twoFactorToken, code });
+      const { token, refreshToken, user } = response.data;
+      
+      localStorage.setItem('rollodx_token', token);
+      localStorage.setItem('rollodx_user', JSON.stringify(user));
+      
+      if (refreshToken) {
+        localStorage.setItem('rollodx_refresh_token', refreshToken);
+        setupTokenRefresh(refreshToken);
+      }
+      
+      dispatch({ type: 'SET_USER', payload: user });
+      
+      toast.success(`Welcome back, ${user.firstName}! 🚀`);
+      return user;
+    } catch (error) {
+      const message = error.response?.data?.error || 'Verification failed';
+      dispatch({ type: 'SET_ERROR', payload: message });
+      toast.error(message);
+      throw error;
+    }
+  };
+
   const register = async (userData) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
@@ -649,9 +689,10 @@ const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
-      // Call logout endpoint if user is authenticated
-      if (state.isAuthenticated) {
-        await api.post('/auth/logout');
+      // The refresh token lets the server end the session even after the access token has expired
+      const refreshToken = localStorage.getItem('rollodx_refresh_token');
+      if (state.isAuthenticated || refreshToken) {
+        await api.post('/auth/logout', refreshToken ? { refreshToken } : {});
       }
     } catch (error) {
       console.error('Logout API call failed:', error);
@@ -681,6 +722,7 @@ const AuthProvider = ({ children }) => {
     <AuthContext.Provider value={{
       ...state,
       login,
+      verifyTwoFactor,
       register,
       logout,
       updateUser,